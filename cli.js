@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+/**
+ * Headless CLI: the same flatten / inflate pipeline as the web page, built on core.js.
+ *   code-flatten pack <dir> [-o out.txt] [--format plain|markdown|xml|json] [--ignore <pattern>]...
+ *                     [--max-size <bytes|KB|MB>] [--encoding <label>] [--tokenizer <name>] [--deps] [--manifest]
+ *                     [--template <id|file>] [--task <text>] [--range <file>:<lines|symbol>]...
+ *   code-flatten inflate <in.txt> [-o dir/] [--encoding <label>]
+ */
+const fs = require('fs');
+const path = require('path');
+const { ProjectProcessor } = require('./core.js');
+
+const USAGE = `Usage:
+  code-flatten pack <dir> [options]       Flatten a project folder into one text file
+  code-flatten inflate <file> [options]   Restore files (or apply a unified diff) from a flattened text
+
+Options:
+  -o, --output <path>     pack: output file (default: stdout); inflate: target folder (default: .)
+  -f, --format <name>     pack: plain | markdown | xml | json (default: .codeflatten.json "format", else plain)
+  -i, --ignore <pattern>  pack: extra gitignore-style pattern, repeatable (lowest precedence)
+      --max-size <size>   pack: skip file contents above this size, e.g. 500KB, 2MB (default: 1MB, or .codeflatten.json)
+  -e, --encoding <label>  text encoding for reading files, e.g. utf-8, gbk (default: auto, detected per file)
+                          inflate: patched files are written back in the encoding they were read with
+  -t, --tokenizer <name>  pack: token counter for the summary: heuristic | cl100k_base | o200k_base (default: heuristic)
+      --deps              pack: list the imports between the packed files after the tree
+      --manifest          pack: add a file manifest (lines, SHA-256, line endings, executable bit);
+                          inflate restores files exactly from it and skips truncated ones
+      --template <name>   pack: wrap the output in a prompt template: review | bugs | refactor | tests, or a
+                          text file using {{tree}} {{files}} {{task}} {{project}} {{tokenCount}}
+      --task <text>       pack: value of {{task}} in the template
+      --range <spec>      pack: only pack part of a file, repeatable: src/app.js:120-180,200-210 or
+                          src/app.js:render (functions / classes); inflate splices such blocks back
+  -h, --help              show this help
+
+A .codeflatten.json in the project folder is applied automatically (ignore, include, ignoreDirs,
+ignoreExts, maxFileSize, format); command-line options win over it.`;
+
+function parseArgs(argv) {
+    const options = { command: argv[0], positional: [], ignore: [], format: null, encoding: 'auto', tokenizer: 'heuristic', output: null, maxSize: null, deps: false, manifest: false, template: null, task: '', ranges: [] };
+    const takeValue = (i, flag) => {
+        if (i + 1 >= argv.length) throw new Error(`Missing value for ${flag}`);
+        return argv[i + 1];
+    };
+    for (let i = 1; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-o': case '--output': options.output = takeValue(i, arg); i++; break;
+            case '-f': case '--format': options.format = takeValue(i, arg); i++; break;
+            case '-i': case '--ignore': options.ignore.push(takeValue(i, arg)); i++; break;
+            case '-e': case '--encoding': options.encoding = takeValue(i, arg); i++; break;
+            case '-t': case '--tokenizer': options.tokenizer = takeValue(i, arg); i++; break;
+            case '--deps': options.deps = true; break;
+            case '--manifest': options.manifest = true; break;
+            case '--template': options.template = takeValue(i, arg); i++; break;
+            case '--task': options.task = takeValue(i, arg); i++; break;
+            case '--range': options.ranges.push(takeValue(i, arg)); i++; break;
+            case '--max-size': options.maxSize = parseSize(takeValue(i, arg)); i++; break;
+            case '-h': case '--help': options.help = true; break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                options.positional.push(arg);
+        }
+    }
+    return options;
+}
+
+function parseSize(value) {
+    return ProjectProcessor.prototype.parseSize(value);
+}
+
+function checkEncoding(encoding) {
+    if (encoding === 'auto') return encoding;
+    try {
+        new TextDecoder(encoding);
+        return encoding;
+    } catch (e) {
+        throw new Error(`Unsupported encoding: ${encoding}`);
+    }
+}
+
+// Same sniffing as the page: null for binary content unless a fixed encoding was chosen
+function readText(processor, absPath, encoding) {
+    return processor.decodeContent(new Uint8Array(fs.readFileSync(absPath)), encoding).content;
+}
+
+// Same walk as the page's scanFiles: the project config and ignore files are loaded before their siblings
+// are filtered, and paths start with the folder name so the output matches a drag-and-drop of the same folder.
+// `maxSize` (--max-size) wins over MAX_FILE_SIZE and the project config.
+function scanDirectory(processor, dir, encoding = 'auto', maxSize = null) {
+    const rootName = path.basename(path.resolve(dir));
+    const order = name => processor.config.IGNORE_FILES.indexOf(name);
+    const results = [];
+    const configPath = path.join(path.resolve(dir), processor.config.PROJECT_CONFIG_FILE);
+    const projectConfig = fs.existsSync(configPath) ?
+        processor.loadProjectConfig(readText(processor, configPath, encoding) || '', rootName) : null;
+    const sizeLimit = maxSize !== null ? maxSize : processor.config.MAX_FILE_SIZE;
+
+    const walk = (absDir, relDir) => {
+        const entries = fs.readdirSync(absDir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+        const ignoreEntries = entries
+            .filter(e => e.isFile() && processor.isIgnoreFile(e.name))
+            .sort((a, b) => order(a.name) - order(b.name));
+        ignoreEntries.forEach(e => {
+            processor.parseGitIgnore(readText(processor, path.join(absDir, e.name), encoding) || '', relDir);
+        });
+
+        for (const entry of entries) {
+            if (ignoreEntries.includes(entry)) continue; // Don't add ignore files to output
+            const relPath = `${relDir}/${entry.name}`;
+            if (processor.isProjectConfig(relPath)) continue;
+            const absPath = path.join(absDir, entry.name);
+            if (entry.isDirectory()) {
+                if (!processor.shouldIgnore(relPath, true)) walk(absPath, relPath);
+            } else if (entry.isFile()) {
+                if (processor.shouldIgnore(relPath)) continue;
+                const size = fs.statSync(absPath).size;
+                const oversize = size > sizeLimit;
+                const content = oversize ?
+                    processor.oversizeNotice(size) :
+                    readText(processor, absPath, encoding);
+                if (content === null) continue; // Binary content
+                const executable = process.platform !== 'win32' && (fs.statSync(absPath).mode & 0o111) !== 0;
+                results.push({ path: relPath, content, tokens: processor.estimateTokens(content), selected: true, executable, oversize });
+            }
+        }
+    };
+    walk(path.resolve(dir), rootName);
+    return { rootName, files: results, projectConfig };
+}
+
+async function pack(options) {
+    const dir = options.positional[0];
+    if (!dir) throw new Error('pack: missing <dir>');
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new Error(`pack: not a directory: ${dir}`);
+
+    const processor = new ProjectProcessor();
+    if (options.format !== null && !processor.outputFormats[options.format]) throw new Error(`pack: unknown format: ${options.format}`);
+    await processor.useTokenizer(options.tokenizer);
+    // Command-line patterns behave like a global excludes file: lowest precedence. Scanned paths start with
+    // the folder name, so the patterns are scoped to it (else "src/gen/" would be anchored above the project)
+    if (options.ignore.length) processor.parseGitIgnore(options.ignore.join('\n'), path.basename(path.resolve(dir)));
+
+    const { rootName, files: scanned, projectConfig } = scanDirectory(processor, dir, checkEncoding(options.encoding), options.maxSize);
+    if (scanned.length === 0) throw new Error('pack: no files left after filtering');
+    const ranged = applyRangeOptions(processor, scanned, rootName, options.ranges);
+
+    const format = options.format || (projectConfig && projectConfig.format) || 'plain';
+    // Imports are read from whole files, the manifest describes the line-range blocks that are packed
+    let header = options.deps ? processor.summarizeImportGraph(ranged, processor.buildImportGraph(ranged)) : '';
+    const files = processor.sliceFileRanges(ranged);
+    const manifest = options.manifest ? processor.buildManifest(files) : null;
+    if (manifest) header += processor.renderManifest(manifest);
+    const template = options.template ? { text: loadTemplate(processor, options.template), task: options.task } : null;
+    const layout = { header, marker: manifest ? manifest.marker : undefined, ...processor.layoutPromptTemplate(template, files, format, rootName, header) };
+    const output = processor.formatTemplated(files, format, rootName, layout);
+    const tokens = files.reduce((sum, f) => sum + (f.tokens !== undefined ? f.tokens : processor.estimateTokens(f.content)), 0);
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.error(`Packed ${files.length} files (~${tokens.toLocaleString()} tokens) -> ${options.output}`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+// --range <file>:<spec>: the file path is relative to <dir>; the spec is line ranges or symbol names
+function applyRangeOptions(processor, files, rootName, specs) {
+    const ranged = new Map();
+    specs.forEach(spec => {
+        const split = spec.lastIndexOf(':');
+        if (split <= 0) throw new Error(`pack: invalid --range: ${spec}`);
+        const filePath = `${rootName}/${spec.slice(0, split).replace(/\\/g, '/').replace(/^\.\//, '')}`;
+        const file = files.find(f => f.path === filePath);
+        if (!file) throw new Error(`pack: --range file not packed: ${spec.slice(0, split)}`);
+        if (file.oversize) throw new Error(`pack: --range file is over the size limit, only its size is packed: ${spec.slice(0, split)}`);
+        const value = spec.slice(split + 1);
+        let ranges;
+        if (/^[\d\s,;-]+$/.test(value)) {
+            try {
+                ranges = processor.parseLineRanges(value, processor.contentLines(file.content).length);
+            } catch (e) {
+                throw new Error(`pack: --range ${spec}: ${e.message}`);
+            }
+        } else {
+            const symbols = processor.listSymbols(file.content, processor.getLanguage(file.path));
+            ranges = value.split(',').map(name => {
+                const symbol = symbols.find(s => s.name === name.trim());
+                if (!symbol) throw new Error(`pack: symbol ${name.trim()} not found in ${spec.slice(0, split)}`);
+                return { start: symbol.start, end: symbol.end };
+            });
+        }
+        ranged.set(filePath, processor.normalizeLineRanges([...(ranged.get(filePath) || []), ...ranges]));
+    });
+    return files.map(f => ranged.has(f.path) ? { ...f, ranges: ranged.get(f.path) } : f);
+}
+
+// A built-in template id, or the path of a template file
+function loadTemplate(processor, name) {
+    const builtin = processor.config.PROMPT_TEMPLATES.find(t => t.id === name);
+    if (builtin) return builtin.text;
+    if (!fs.existsSync(name)) throw new Error(`pack: unknown template: ${name}`);
+    return fs.readFileSync(name, 'utf8');
+}
+
+function inflate(options) {
+    const input = options.positional[0];
+    if (!input) throw new Error('inflate: missing <file>');
+    const processor = new ProjectProcessor();
+    const encoding = checkEncoding(options.encoding);
+    const text = readText(processor, input, encoding);
+    if (text === null) throw new Error(`inflate: ${input} looks like a binary file`);
+    const outDir = path.resolve(options.output || '.');
+
+    const parsed = processor.parseOutput(text);
+    let files = parsed.files;
+    let missing = [];
+    if (parsed.manifest && files.length > 0) ({ files, missing } = processor.verifyAgainstManifest(files, parsed.manifest));
+    // Line-range blocks are spliced into the files already in the target folder
+    const spliced = processor.spliceRangeBlocks(files, filePath => {
+        const target = resolveInside(outDir, processor.sanitizePath(filePath));
+        return target && fs.existsSync(target) ? readText(processor, target, encoding) : null;
+    });
+    files = spliced.files;
+    spliced.unresolved.forEach(blockPath => console.error(`Warning: ${blockPath} has no matching file in ${outDir}, skipped`));
+    if (files.length > 0) {
+        let written = 0;
+        files.forEach(f => {
+            const cleanPath = processor.sanitizePath(f.path);
+            const target = resolveInside(outDir, cleanPath);
+            if (!target) return;
+            if (f.check === 'truncated') {
+                console.error(`Warning: ${cleanPath} looks truncated (elided code or missing parts), skipped`);
+                return;
+            }
+            if (f.incomplete) console.error(`Warning: ${cleanPath} is missing parts, content is incomplete`);
+            if (f.detectedBy) console.error(`Note: no file markers, path ${cleanPath} guessed from the ${f.detectedBy} line`);
+            if (f.check === 'added') console.error(`Note: ${cleanPath} is not in the manifest`);
+            writeFile(target, f.content);
+            if (f.executable && process.platform !== 'win32') fs.chmodSync(target, 0o755);
+            written++;
+        });
+        if (missing.length > 0) console.error(`Note: ${missing.length} manifest files not in the input: ${missing.join(', ')}`);
+        console.error(`Restored ${written} files -> ${outDir}`);
+        return 0;
+    }
+
+    // Patch Mode: apply unified diff hunks to the files already in the target folder
+    if (processor.isPatch(text)) return applyPatch(processor, text, outDir, encoding);
+    throw new Error('inflate: no file markers or diff hunks found');
+}
+
+function applyPatch(processor, text, outDir, encoding = 'auto') {
+    let failures = 0;
+    processor.parsePatch(text).forEach(patch => {
+        const oldPath = processor.sanitizePath(patch.oldPath || patch.newPath || '');
+        const newPath = processor.sanitizePath(patch.newPath || patch.oldPath || '');
+        const oldAbs = resolveInside(outDir, oldPath);
+        const newAbs = resolveInside(outDir, newPath);
+        if (!oldAbs || !newAbs) {
+            console.error(`Failed ${patch.newPath || patch.oldPath}: path outside ${outDir}`);
+            failures += patch.hunks.length || 1;
+            return;
+        }
+
+        if (patch.isDeleted) {
+            if (fs.existsSync(oldAbs)) fs.unlinkSync(oldAbs);
+            console.error(`Deleted ${oldPath}`);
+            return;
+        }
+        if (!patch.isNew && !fs.existsSync(oldAbs)) {
+            console.error(`Failed ${oldPath}: file not found`);
+            failures += patch.hunks.length || 1;
+            return;
+        }
+
+        // Same decoding as pack / inflate (--encoding, else detected per file); written back in that encoding
+        const decoded = patch.isNew ? { content: '', encoding: 'UTF-8' } : processor.decodeContent(new Uint8Array(fs.readFileSync(oldAbs)), encoding);
+        if (decoded.content === null) {
+            console.error(`Failed ${oldPath}: binary file`);
+            failures += patch.hunks.length || 1;
+            return;
+        }
+        const base = decoded.content;
+        const { content, failed } = processor.applyHunks(base, patch.hunks);
+        failed.forEach(i => {
+            const h = patch.hunks[i];
+            console.error(`Failed ${newPath} hunk #${i + 1}${h.oldStart !== null ? ` (@@ -${h.oldStart},${h.oldLines} @@)` : ''}: context mismatch`);
+        });
+        failures += failed.length;
+        const bytes = encodeText(content, decoded.encoding);
+        writeFile(newAbs, bytes || content);
+        if (patch.isRename && oldPath !== newPath) fs.unlinkSync(oldAbs);
+        console.error(`${patch.isNew ? 'Created' : 'Patched'} ${newPath}`);
+        if (!bytes) console.error(`Note: ${newPath} has characters ${decoded.encoding} can't hold, written as UTF-8`);
+    });
+    return failures > 0 ? 1 : 0;
+}
+
+// Text in the encoding it was read with, null when a character has no encoding there. TextEncoder only
+// does UTF-8, so legacy single / double-byte encodings (GBK, Shift_JIS, Big5...) invert their decoder once.
+const encodingTables = {};
+function encodeText(text, encoding) {
+    const label = encoding.toLowerCase();
+    if (label === 'utf-8' || label === 'utf8') return Buffer.from(text, 'utf8');
+    if (label === 'utf-16le') return Buffer.from(text, 'utf16le');
+    if (label === 'utf-16be') return Buffer.from(text, 'utf16le').swap16();
+    if (!encodingTables[label]) {
+        const decoder = new TextDecoder(label);
+        const table = new Map();
+        const add = bytes => {
+            const char = decoder.decode(Uint8Array.from(bytes));
+            if (char.length === 1 && char !== '\uFFFD' && !table.has(char)) table.set(char, bytes);
+        };
+        for (let b = 0; b < 0x100; b++) add([b]);
+        for (let lead = 0x81; lead < 0xFF; lead++) {
+            for (let trail = 0x40; trail < 0xFF; trail++) add([lead, trail]);
+        }
+        encodingTables[label] = table;
+    }
+    const table = encodingTables[label];
+    const out = [];
+    for (const char of text) {
+        const bytes = table.get(char);
+        if (!bytes) return null;
+        out.push(...bytes);
+    }
+    return Buffer.from(out);
+}
+
+// Security: the absolute target of a relative path from the input, null unless it stays inside outDir
+function resolveInside(outDir, relPath) {
+    if (!relPath) return null;
+    const root = path.resolve(outDir);
+    const target = path.resolve(root, relPath);
+    return target.startsWith(root + path.sep) ? target : null;
+}
+
+function writeFile(absPath, content) {
+    fs.mkdirSync(path.dirname(absPath), { recursive: true });
+    fs.writeFileSync(absPath, content);
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help || !options.command || ['-h', '--help'].includes(options.command)) {
+        console.log(USAGE);
+        return options.command ? 0 : 2;
+    }
+    try {
+        if (options.command === 'pack') return (await pack(options)) || 0;
+        if (options.command === 'inflate') return inflate(options);
+        console.error(`Unknown command: ${options.command}\n\n${USAGE}`);
+        return 2;
+    } catch (e) {
+        console.error(e.message);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { main, scanDirectory };
@@ -0,0 +1,3009 @@
+/**
+ * Architecture Refactor: Separating logic from view.
+ * ProjectProcessor handles core logic (Filtering, Stats, parsing).
+ * DOM-free: loaded as a plain script by index.html and required by the Node CLI (cli.js).
+ */
+class ProjectProcessor {
+    constructor() {
+        // Refactoring A: Consolidated Configuration
+        this.config = {
+            REPO_README_URL: "./README.md",
+            IGNORE_DIRS: [
+                '.git', '.svn', '.hg', '.idea', '.vscode', '.settings',
+                'node_modules', 'bower_components', 'build', 'dist', 'out', 'target',
+                '__pycache__', '.venv', 'venv', 'env', '.pytest_cache',
+                '.dart_tool', '.pub-cache', 'bin', 'obj', '.gradle', 'vendor',
+                'tmp', 'temp', 'logs', 'coverage', '.next', '.nuxt',
+                'ios', 'android'
+            ],
+            IGNORE_EXTS: [
+                '.png', '.jpg', '.jpeg', '.gif', '.svg', '.ico', '.webp', '.mp4', '.mp3', '.wav',
+                '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.zip', '.tar', '.gz', '.7z', '.rar',
+                '.exe', '.dll', '.so', '.dylib', '.class', '.jar', '.db', '.sqlite', '.sqlite3',
+                '.lock', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', '.DS_Store'
+            ],
+            // Ignore files honoured in every directory, in increasing order of precedence
+            IGNORE_FILES: ['.gitignore', '.ignore', '.codeflattenignore'],
+            // Globs (relative to the project root) that win over IGNORE_DIRS / IGNORE_EXTS, e.g. 'bin/', '*.svg'
+            INCLUDE_PATTERNS: [],
+            // Team settings committed at the project root, see parseProjectConfig
+            PROJECT_CONFIG_FILE: '.codeflatten.json',
+            // Stability Optimization: Max file size (1MB)
+            MAX_FILE_SIZE: 1024 * 1024,
+            // Encodings offered for per-file overrides; 'auto' sniffs BOM / UTF-16 / UTF-8 / GBK / Shift_JIS
+            ENCODINGS: ['UTF-8', 'GBK', 'Shift_JIS', 'UTF-16LE', 'UTF-16BE', 'windows-1252'],
+            // Bytes inspected for binary and encoding detection
+            SNIFF_BYTES: 8192,
+            // Token counters: 'heuristic' is instant, the BPE vocabularies are loaded from TOKENIZER_PATH on first use
+            TOKENIZERS: [
+                { id: 'heuristic', label: '快速估算' },
+                { id: 'cl100k_base', label: 'cl100k (GPT-4 / GPT-3.5)' },
+                { id: 'o200k_base', label: 'o200k (GPT-4o / o1)' }
+            ],
+            TOKENIZER: 'heuristic',
+            TOKENIZER_PATH: 'tokenizers',
+            // First line of files shrunk by the content reduction modes
+            REDUCED_MARKER: '[Code Flatten] Reduced view',
+            // Secret redaction detectors: `group` is the capture group holding the secret (whole match if unset),
+            // `files` limits a detector to matching paths, `minEntropy` skips ordinary strings
+            SECRET_DETECTORS: [
+                { id: 'aws_key', label: 'AWS Key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+                { id: 'aws_secret', label: 'AWS Secret', pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"=:\s]([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi, group: 1 },
+                { id: 'github_token', label: 'GitHub Token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+                { id: 'slack_token', label: 'Slack Token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}|https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/g },
+                { id: 'jwt', label: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+                { id: 'connection_string', label: '连接串密码', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"]+:([^\s@/'"]+)@/gi, group: 1 },
+                { id: 'env_value', label: '.env 变量', files: ['.env', '.env.*', '*.env'], pattern: /^[ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_]*[ \t]*=[ \t]*(\S.*?)[ \t]*$/gm, group: 1 },
+                { id: 'high_entropy', label: '高熵字符串', pattern: /['"`]([A-Za-z0-9+/=_-]{24,})['"`]/g, group: 1, minEntropy: 4.2 },
+                // Multi-line match last, so the line numbers of earlier findings still point at the original text
+                { id: 'private_key', label: '私钥 PEM', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g }
+            ],
+            // Outline mode: which lines of a brace language survive (tested on trimmed, comment-free lines).
+            // imports / types are kept whole, containers are descended into, functions keep their signature.
+            OUTLINE_PATTERNS: {
+                javascript: {
+                    annotations: /^@[\w.]+(\([^)]*\))?$/,
+                    imports: /^(import\b|export\s+(\*|\{)|export\s+default\s+[\w$.]+;?$|(const|let|var)\s+[\w${},\s]+=\s*require\(|module\.exports\b|exports\.[\w$]+\s*=)/,
+                    types: /^(export\s+)?(declare\s+)?(interface\s|type\s+[\w$]+.*=|(const\s+)?enum\s)/,
+                    containers: /^(export\s+)?(default\s+)?(declare\s+)?(abstract\s+)?(class|namespace|module)\b/,
+                    functions: /^(export\s+)?(default\s+)?(declare\s+)?(async\s+)?function\b|^(export\s+)?(const|let|var)\s+[\w$]+\s*(:[^=]+)?=\s*(async\s+)?(function\b|(\([^)]*\)|[\w$]+)\s*(:[^=]+)?=>)/,
+                    members: /^(@[\w.]+(\([^)]*\))?\s+)*((public|private|protected|static|readonly|async|get|set|abstract|override|declare)\s+)*\*?\s*[\w$#]+\s*[?!]?\s*(<[^>]*>)?\s*\(|^[\w$#]+\s*=\s*(async\s+)?(\([^)]*\)|[\w$]+)\s*=>/,
+                    fields: /^(@[\w.]+(\([^)]*\))?|((public|private|protected|static|readonly|declare|abstract|override)\s+)*[\w$#]+\s*[?!]?\s*(:[^;{]*)?(=[^{]*)?;?)$/
+                },
+                java: {
+                    imports: /^(package|import)\s/,
+                    annotations: /^@\w+(\([^)]*\))?$/,
+                    containers: /^(@\w+(\([^)]*\))?\s+)*((public|private|protected|static|final|abstract|sealed|non-sealed|strictfp)\s+)*(class|interface|enum|record|@interface)\s+\w/,
+                    members: /^(@\w+(\([^)]*\))?\s+)*((public|private|protected|static|final|abstract|synchronized|native|default|strictfp)\s+)*(<[^>]+>\s+)?[\w<>[\],.?]+(\s+[\w<>[\],.?]+)*\s+\w+\s*\(|^((public|private|protected)\s+)?[A-Z]\w*\s*\(/,
+                    fields: /^(@\w+(\([^)]*\))?|((public|private|protected|static|final|transient|volatile)\s+)*[\w<>[\],.?]+\s+\w+\s*(=[^{]*)?;)$/
+                },
+                go: {
+                    imports: /^(package|import)\b/,
+                    types: /^(type|const|var)\b/,
+                    functions: /^func\b/
+                }
+            },
+            // Extension -> Markdown fence language
+            LANGUAGE_MAP: {
+                js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx', ts: 'typescript', tsx: 'tsx',
+                py: 'python', rb: 'ruby', go: 'go', rs: 'rust', java: 'java', kt: 'kotlin', swift: 'swift',
+                c: 'c', h: 'c', cpp: 'cpp', cc: 'cpp', hpp: 'cpp', cs: 'csharp', php: 'php', dart: 'dart',
+                vue: 'vue', svelte: 'svelte', html: 'html', css: 'css', scss: 'scss', less: 'less',
+                json: 'json', yml: 'yaml', yaml: 'yaml', toml: 'toml', xml: 'xml', md: 'markdown',
+                sh: 'bash', bash: 'bash', ps1: 'powershell', sql: 'sql', txt: 'text'
+            },
+            // Auto-fit drops matching files first, in rule order; the rest go largest-first
+            AUTO_FIT_RULES: [
+                { id: 'tests', label: '测试', patterns: ['*.test.*', '*.spec.*', '*_test.*', 'test_*.py', '**/test/**', '**/tests/**', '**/__tests__/**'] },
+                { id: 'docs', label: '文档', patterns: ['*.md', '*.mdx', '*.rst', '*.txt', '**/docs/**', '**/doc/**', 'LICENSE*', 'CHANGELOG*'] },
+                { id: 'config', label: '配置', patterns: ['*.json', '*.yml', '*.yaml', '*.toml', '*.ini', '*.cfg', '.*rc', '.editorconfig'] }
+            ],
+            // Syntax highlighting in the file viewer: keywords per language family (see highlightKeywords)
+            HIGHLIGHT_KEYWORDS: {
+                javascript: 'async await break case catch class const continue debugger default delete do else enum export extends false finally for from function get if implements import in instanceof interface let new null of private protected public readonly return set static super switch this throw true try type typeof undefined var void while yield',
+                python: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield',
+                go: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var',
+                c: 'abstract as break case catch class const continue default do else enum extends false final finally fn for func if impl implements import in interface let match mod namespace new null package private protected public pub return self static struct super switch this throw throws true try typedef use using val var void while',
+                bash: 'case do done elif else esac export fi for function if in local return then until while',
+                sql: 'and as by create delete desc drop from group having in index insert into join key left limit not null on or order primary references select set table update values where'
+            },
+            // Built-in prompt templates wrapping the flatten output, see renderPromptTemplate for the variables
+            PROMPT_TEMPLATES: [
+                {
+                    id: 'review', label: '代码审查',
+                    text: '你是一名资深工程师，请审查项目 {{project}} 的以下代码（约 {{tokenCount}} tokens）。\n审查重点：{{task}}\n\n' +
+                        '请按严重程度列出问题（正确性、安全、性能、可维护性），注明文件与行号并给出修改建议；没有把握的地方请直接说明。\n\n{{tree}}\n\n{{files}}'
+                },
+                {
+                    id: 'bugs', label: '排查 Bug',
+                    text: '项目 {{project}} 出现了以下问题：\n{{task}}\n\n' +
+                        '请阅读下面的代码，按可能性从高到低列出原因并说明推理过程，再给出最小的修复方案。\n\n{{tree}}\n\n{{files}}'
+                },
+                {
+                    id: 'refactor', label: '重构（Code Flatten 格式回复）',
+                    text: '请按以下要求重构项目 {{project}}：\n{{task}}\n\n{{tree}}\n\n{{files}}\n\n' +
+                        '回复要求：只输出需要修改或新增的文件，每个文件给出修改后的完整内容，文件标记与上文的格式完全相同；' +
+                        '不要省略代码，不要用“其余不变”之类的注释代替，也不要输出 diff。'
+                },
+                {
+                    id: 'tests', label: '编写测试',
+                    text: '请为项目 {{project}} 的以下代码编写单元测试。\n{{task}}\n\n' +
+                        '沿用项目现有的测试框架与目录结构，覆盖正常路径、边界条件与错误处理；每个测试文件按上文相同的文件标记格式输出完整内容。\n\n{{tree}}\n\n{{files}}'
+                }
+            ]
+        };
+        this.gitIgnoreRules = [];
+        this.outputFormats = this.createOutputFormats();
+        // Loaded BPE tokenizers by id (promises, so concurrent callers share one download)
+        this.tokenizers = {};
+        this.tokenizer = null;
+    }
+
+    // Per-directory ignore rules (gitignore semantics), reset at the start of every load
+    resetIgnoreRules() {
+        this.gitIgnoreRules = [];
+    }
+
+    isIgnoreFile(name) {
+        return this.config.IGNORE_FILES.includes(name);
+    }
+
+    // Full .gitignore parsing: negation, globs, anchoring. Rules are scoped to baseDir,
+    // the directory that holds the ignore file (relative to the dropped root).
+    parseGitIgnore(content, baseDir = "") {
+        const base = baseDir.replace(/\\/g, '/').replace(/\/+$/, '');
+        content.split(/\r?\n/).forEach(line => {
+            const rule = this.compileIgnoreRule(line, base);
+            if (rule) this.gitIgnoreRules.push(rule);
+        });
+        // Deeper ignore files override shallower ones; the sort is stable so file order is kept
+        this.gitIgnoreRules.sort((a, b) => a.depth - b.depth);
+    }
+
+    compileIgnoreRule(line, base) {
+        let pattern = line;
+        // Trailing spaces are ignored unless escaped with a backslash
+        while (/\s$/.test(pattern) && !pattern.endsWith('\\ ')) pattern = pattern.slice(0, -1);
+        if (!pattern || pattern.startsWith('#')) return null;
+
+        let negate = false;
+        if (pattern.startsWith('!')) {
+            negate = true;
+            pattern = pattern.slice(1);
+        } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+            pattern = pattern.slice(1);
+        }
+
+        const dirOnly = pattern.endsWith('/');
+        pattern = pattern.replace(/\/+$/, '');
+        if (!pattern) return null;
+
+        // A slash at the beginning or in the middle anchors the pattern to the ignore file's directory,
+        // otherwise it may match at any depth below it
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+        const regex = new RegExp('^' + (anchored ? '' : '(?:.*/)?') + this.globToRegex(pattern) + '$');
+        return { regex, negate, dirOnly, base, depth: base ? base.split('/').length : 0 };
+    }
+
+    globToRegex(glob) {
+        const escape = c => c.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+        let re = '';
+        for (let i = 0; i < glob.length; i++) {
+            const c = glob[i];
+            if (c === '*') {
+                if (glob[i + 1] === '*') {
+                    const atStart = i === 0 || glob[i - 1] === '/';
+                    const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+                    if (atStart && atEnd) {
+                        if (i + 2 === glob.length) {
+                            re += '.*'; // "dir/**": everything inside
+                            i += 1;
+                        } else {
+                            re += '(?:.*/)?'; // "**/": zero or more directories
+                            i += 2;
+                        }
+                        continue;
+                    }
+                    i += 1; // Other consecutive asterisks behave like a single one
+                }
+                re += '[^/]*';
+            } else if (c === '?') {
+                re += '[^/]';
+            } else if (c === '[') {
+                let j = i + 1;
+                if (glob[j] === '!' || glob[j] === '^') j++;
+                if (glob[j] === ']') j++;
+                while (j < glob.length && glob[j] !== ']') j++;
+                if (j >= glob.length) {
+                    re += '\\[';
+                    continue;
+                }
+                let cls = glob.slice(i + 1, j);
+                const negated = cls.startsWith('!') || cls.startsWith('^');
+                if (negated) cls = cls.slice(1);
+                cls = cls.replace(/[\\\]\[^]/g, '\\$&');
+                re += negated ? `[^/${cls}]` : `[${cls}]`;
+                i = j;
+            } else if (c === '\\' && i + 1 < glob.length) {
+                re += escape(glob[++i]);
+            } else {
+                re += escape(c);
+            }
+        }
+        return re;
+    }
+
+    // Last matching rule wins, so walk the rules backwards and stop at the first hit
+    matchIgnoreRules(path, isDir) {
+        for (let i = this.gitIgnoreRules.length - 1; i >= 0; i--) {
+            const rule = this.gitIgnoreRules[i];
+            if (rule.dirOnly && !isDir) continue;
+            let rel = path;
+            if (rule.base) {
+                if (!path.startsWith(rule.base + '/')) continue;
+                rel = path.slice(rule.base.length + 1);
+            }
+            if (rule.regex.test(rel)) return !rule.negate;
+        }
+        return false;
+    }
+
+    shouldIgnore(path, isDir = false) {
+        return this.ignoreReason(path, isDir) !== null;
+    }
+
+    // Why a path is excluded, for the scan summary: 'default' (IGNORE_DIRS / IGNORE_EXTS), 'gitignore' or null
+    ignoreReason(path, isDir = false) {
+        path = path.replace(/\\/g, '/');
+        const parts = path.split('/');
+        const fileName = parts[parts.length - 1];
+        // 1. Hardcoded Checks, unless an include pattern covers the ignored directory / file
+        const included = target => this.config.INCLUDE_PATTERNS.length > 0 && this.matchesRelative(target, this.config.INCLUDE_PATTERNS);
+        for (let i = 0; i < parts.length; i++) {
+            if (this.config.IGNORE_DIRS.includes(parts[i]) && !included(parts.slice(0, i + 1).join('/'))) return 'default';
+        }
+        if (this.config.IGNORE_EXTS.some(ext => fileName.toLowerCase().endsWith(ext)) && !included(path)) return 'default';
+
+        // 2. GitIgnore Rules
+        if (this.gitIgnoreRules.length > 0) {
+            // A file inside an excluded directory can't be re-included, so check every ancestor first
+            for (let i = 1; i < parts.length; i++) {
+                if (this.matchIgnoreRules(parts.slice(0, i).join('/'), true)) return 'gitignore';
+            }
+            if (this.matchIgnoreRules(path, isDir)) return 'gitignore';
+        }
+
+        return null;
+    }
+
+    // Glob matching with gitignore conventions: patterns without a slash match at any depth
+    matchGlob(path, glob) {
+        const anchored = glob.replace(/\/+$/, '').includes('/');
+        const body = this.globToRegex(glob.replace(/^\//, '').replace(/\/+$/, ''));
+        return new RegExp('^' + (anchored ? '' : '(?:.*/)?') + body + '$').test(path.replace(/\\/g, '/'));
+    }
+
+    // Project-level globs (profiles, include patterns, .codeflatten.json) are matched against the path
+    // below the project folder, so they fit any fresh copy of the repo. Matching a parent directory covers its contents.
+    matchesRelative(path, globs) {
+        const parts = path.replace(/\\/g, '/').split('/');
+        const rel = parts.length > 1 ? parts.slice(1) : parts;
+        return globs.some(glob => rel.some((_, i) => this.matchGlob(rel.slice(0, i + 1).join('/'), glob)));
+    }
+
+    // A glob matching exactly one path below the project folder: metacharacters are escaped, and a root-level
+    // name is anchored (without a slash it would match at any depth)
+    literalGlob(relPath) {
+        const escaped = relPath.replace(/[[\]*?\\]/g, '\\$&');
+        return escaped.includes('/') ? escaped : '/' + escaped;
+    }
+
+    // Selection profiles: { include, exclude } globs, an empty include list selects everything
+    matchesProfile(path, { include = [], exclude = [] }) {
+        if (include.length > 0 && !this.matchesRelative(path, include)) return false;
+        return !this.matchesRelative(path, exclude);
+    }
+
+    // --- TREE SEARCH ---
+    // 'path' takes a glob (a plain word matches anywhere in the path, case-insensitively), 'content' greps the
+    // loaded text with a case-insensitive regex, or literal text if the query isn't a valid one.
+    // Returns the indices of the matching files.
+    searchFiles(files, query, mode = 'path') {
+        query = query.trim();
+        if (!query) return files.map((_, i) => i);
+        const collect = test => {
+            const hits = [];
+            files.forEach((f, i) => { if (test(f)) hits.push(i); });
+            return hits;
+        };
+        const needle = query.toLowerCase();
+        const substring = f => f.path.toLowerCase().includes(needle);
+        if (mode === 'content') {
+            let regex;
+            try {
+                regex = new RegExp(query, 'i');
+            } catch (e) {
+                regex = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            }
+            return collect(f => regex.test(f.content));
+        }
+        if (!/[*?[]/.test(query)) return collect(substring);
+        // Relative to the project root like the other project-level globs, or spelled out from the folder name.
+        // Logic Fix: names like "[id].js" hold glob characters too, so a glob without hits is searched as text
+        const hits = collect(f => this.matchesRelative(f.path, [query]) || this.matchGlob(f.path, query));
+        return hits.length > 0 ? hits : collect(substring);
+    }
+
+    // --- IMPORT GRAPH ---
+    // Import edges between the loaded files: JS/TS (ES imports, require, tsconfig / jsconfig path aliases),
+    // Python, Go (packages under the go.mod module) and CSS @import. Packages and stdlib imports that don't
+    // resolve to a loaded file are dropped. Returns { deps, dependents }: per file index, the indices it
+    // imports and the indices that import it.
+    buildImportGraph(files) {
+        const paths = files.map(f => f.path.replace(/\\/g, '/'));
+        const context = { paths, byPath: new Map(), byName: new Map(), byDir: new Map() };
+        const addTo = (map, key, i) => (map.get(key) || map.set(key, []).get(key)).push(i);
+        paths.forEach((path, i) => {
+            context.byPath.set(path, i);
+            addTo(context.byName, path.split('/').pop(), i);
+            addTo(context.byDir, this.dirName(path), i);
+        });
+        context.aliases = this.collectPathAliases(files, paths);
+        context.goModules = this.collectGoModules(files, paths);
+
+        const deps = files.map((f, i) => {
+            const targets = new Set(this.resolveImports(paths[i], f.content, context));
+            return Array.from(targets).filter(t => t !== undefined && t !== i);
+        });
+        const dependents = files.map(() => []);
+        deps.forEach((targets, i) => targets.forEach(t => dependents[t].push(i)));
+        return { deps, dependents };
+    }
+
+    // Breadth-first walk from `start` along 'deps' or 'dependents', up to maxDepth hops; the start files are left out
+    collectRelated(graph, start, direction = 'deps', maxDepth = Infinity) {
+        const edges = graph[direction];
+        const seen = new Set(start);
+        let frontier = start.slice();
+        for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+            const next = [];
+            frontier.forEach(i => edges[i].forEach(j => {
+                if (seen.has(j)) return;
+                seen.add(j);
+                next.push(j);
+            }));
+            frontier = next;
+        }
+        return Array.from(seen).filter(i => !start.includes(i));
+    }
+
+    // "a -> b, c" lines for the flatten header, empty when nothing in the selection imports anything else
+    summarizeImportGraph(files, graph) {
+        const paths = files.map(f => f.path.replace(/\\/g, '/'));
+        const lines = graph.deps
+            .map((targets, i) => targets.length ? `${paths[i]} -> ${targets.map(t => paths[t]).join(', ')}` : null)
+            .filter(Boolean);
+        return lines.length ? `\nDependencies (imports between the included files):\n${lines.join('\n')}\n` : '';
+    }
+
+    resolveImports(path, content, context) {
+        const dir = this.dirName(path);
+        switch (this.getLanguage(path)) {
+            case 'javascript': case 'jsx': case 'typescript': case 'tsx': case 'vue': case 'svelte':
+                return this.extractJsImports(content).map(spec => this.resolveJsImport(spec, path, context));
+            case 'python':
+                return [].concat(...this.extractPythonImports(content).map(imp => this.resolvePythonImport(imp, dir, context)));
+            case 'go':
+                return [].concat(...this.extractGoImports(content).map(spec => this.resolveGoImport(spec, context)));
+            case 'css': case 'scss': case 'sass': case 'less':
+                return this.extractCssImports(content).map(spec => this.resolveCssImport(spec, dir, context));
+            default:
+                return [];
+        }
+    }
+
+    extractJsImports(content) {
+        const code = this.stripComments(content, 'javascript');
+        const specs = [];
+        const patterns = [
+            // import x from 'y', import 'y', import type { X } from 'y', export * from 'y'
+            /\b(?:import|export)\s+(?:type\s+)?(?:[\w$*{}\s,]+?\s+from\s+)?(['"])([^'"\n]+)\1/g,
+            // require('y'), import('y')
+            /\b(?:require|import)\s*\(\s*(['"`])([^'"`\n]+)\1\s*\)/g
+        ];
+        patterns.forEach(regex => {
+            let match;
+            while ((match = regex.exec(code)) !== null) specs.push(match[2]);
+        });
+        return specs;
+    }
+
+    resolveJsImport(spec, fromPath, context) {
+        const extensions = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.d.ts', '.vue', '.svelte', '.json'];
+        if (spec.startsWith('.')) return this.resolveFile(this.joinPath(this.dirName(fromPath), spec), extensions, context);
+        // Path aliases of the nearest tsconfig / jsconfig above the importing file
+        const scope = context.aliases
+            .filter(a => !a.dir || fromPath.startsWith(a.dir + '/'))
+            .sort((a, b) => b.dir.length - a.dir.length)[0];
+        if (!scope) return undefined;
+        for (const { prefix, suffix, wildcard, targets } of scope.paths) {
+            const matches = wildcard ?
+                spec.startsWith(prefix) && spec.endsWith(suffix) && spec.length >= prefix.length + suffix.length :
+                spec === prefix;
+            if (!matches) continue;
+            const star = wildcard ? spec.slice(prefix.length, spec.length - suffix.length) : '';
+            for (const target of targets) {
+                const found = this.resolveFile(this.joinPath(scope.baseDir, target.replace('*', star)), extensions, context);
+                if (found !== undefined) return found;
+            }
+        }
+        return scope.baseUrl ? this.resolveFile(this.joinPath(scope.baseDir, spec), extensions, context) : undefined;
+    }
+
+    // compilerOptions.baseUrl / paths of every loaded tsconfig.json and jsconfig.json (comments and trailing commas allowed)
+    collectPathAliases(files, paths) {
+        const aliases = [];
+        paths.forEach((path, i) => {
+            if (!/(^|\/)[tj]sconfig(\.[\w-]+)?\.json$/.test(path)) return;
+            let options;
+            try {
+                const json = this.stripComments(files[i].content, 'javascript').replace(/,(\s*[}\]])/g, '$1');
+                options = JSON.parse(json).compilerOptions || {};
+            } catch (e) {
+                return;
+            }
+            if (!options.paths && !options.baseUrl) return;
+            const dir = this.dirName(path);
+            const baseDir = options.baseUrl ? this.joinPath(dir, options.baseUrl) : dir;
+            const entries = Object.entries(options.paths || {}).filter(([, targets]) => Array.isArray(targets));
+            aliases.push({
+                dir, baseDir, baseUrl: Boolean(options.baseUrl),
+                paths: entries.map(([key, targets]) => {
+                    const star = key.indexOf('*');
+                    return star === -1 ?
+                        { prefix: key, suffix: '', wildcard: false, targets } :
+                        { prefix: key.slice(0, star), suffix: key.slice(star + 1), wildcard: true, targets };
+                })
+            });
+        });
+        return aliases;
+    }
+
+    // [{ dots, module, names }] from "import a.b, c" and "from ..a import (b, c)"
+    extractPythonImports(content) {
+        const code = this.stripComments(content, 'python');
+        const imports = [];
+        let match;
+        const plain = /^[ \t]*import[ \t]+([\w. \t,]+)/gm;
+        while ((match = plain.exec(code)) !== null) {
+            match[1].split(',').forEach(part => {
+                const module = part.trim().split(/\s+/)[0];
+                if (module) imports.push({ dots: 0, module, names: [] });
+            });
+        }
+        const from = /^[ \t]*from[ \t]+(\.*)([\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n]+)/gm;
+        while ((match = from.exec(code)) !== null) {
+            const names = match[3].replace(/[()\\]/g, ' ').split(',').map(n => n.trim().split(/\s+/)[0]).filter(n => n && n !== '*');
+            imports.push({ dots: match[1].length, module: match[2], names });
+        }
+        return imports;
+    }
+
+    resolvePythonImport({ dots, module, names }, dir, context) {
+        const modulePath = module.replace(/\./g, '/');
+        const found = [];
+        const candidates = base => [`${base}.py`, `${base}/__init__.py`];
+        if (dots > 0) {
+            // Relative: one dot is the current package, each extra dot goes up a level
+            const base = this.joinPath(dir, '../'.repeat(dots - 1) + modulePath);
+            const module = candidates(base).map(p => context.byPath.get(p)).find(i => i !== undefined);
+            if (module !== undefined) found.push(module);
+            names.forEach(name => {
+                const sub = candidates(`${base}/${name}`).map(p => context.byPath.get(p)).find(i => i !== undefined);
+                if (sub !== undefined) found.push(sub);
+            });
+            return found;
+        }
+        // Absolute: the package may live under any source root (src/, the project folder, ...)
+        const lookup = relPath => {
+            const hits = (context.byName.get(relPath.split('/').pop()) || [])
+                .filter(i => context.paths[i] === relPath || context.paths[i].endsWith('/' + relPath));
+            return this.closestPath(hits, dir, context);
+        };
+        const moduleHit = [`${modulePath}.py`, `${modulePath}/__init__.py`].map(lookup).find(i => i !== undefined);
+        if (moduleHit !== undefined) found.push(moduleHit);
+        names.forEach(name => {
+            const sub = [`${modulePath}/${name}.py`, `${modulePath}/${name}/__init__.py`].map(lookup).find(i => i !== undefined);
+            if (sub !== undefined) found.push(sub);
+        });
+        return found;
+    }
+
+    // "module <path>" of every loaded go.mod
+    collectGoModules(files, paths) {
+        const modules = [];
+        paths.forEach((path, i) => {
+            if (path.split('/').pop() !== 'go.mod') return;
+            const match = files[i].content.match(/^module\s+(\S+)/m);
+            if (match) modules.push({ dir: this.dirName(path), module: match[1] });
+        });
+        return modules;
+    }
+
+    extractGoImports(content) {
+        const code = this.stripComments(content, 'go');
+        const specs = [];
+        let match;
+        const single = /^import[ \t]+(?:[\w.]+[ \t]+)?"([^"]+)"/gm;
+        while ((match = single.exec(code)) !== null) specs.push(match[1]);
+        const block = /^import[ \t]*\(([\s\S]*?)\)/gm;
+        while ((match = block.exec(code)) !== null) {
+            const spec = /"([^"]+)"/g;
+            let inner;
+            while ((inner = spec.exec(match[1])) !== null) specs.push(inner[1]);
+        }
+        return specs;
+    }
+
+    // A Go import is a package: every non-test .go file in its directory
+    resolveGoImport(spec, context) {
+        const mod = context.goModules.find(m => spec === m.module || spec.startsWith(m.module + '/'));
+        if (!mod) return [];
+        const pkgDir = this.joinPath(mod.dir, spec.slice(mod.module.length + 1));
+        return (context.byDir.get(pkgDir) || []).filter(i => /\.go$/.test(context.paths[i]) && !/_test\.go$/.test(context.paths[i]));
+    }
+
+    extractCssImports(content) {
+        const code = this.stripComments(content, 'css');
+        const specs = [];
+        const regex = /@(?:import|use|forward)\s+(?:url\(\s*)?(['"]?)([^'")\s;]+)\1/g;
+        let match;
+        while ((match = regex.exec(code)) !== null) {
+            if (!/^(https?:)?\/\//.test(match[2]) && !match[2].startsWith('sass:')) specs.push(match[2]);
+        }
+        return specs;
+    }
+
+    // CSS imports are relative even without "./"; Sass also finds "_partial" files
+    resolveCssImport(spec, dir, context) {
+        const extensions = ['.css', '.scss', '.sass', '.less'];
+        const base = this.joinPath(dir, spec);
+        const found = this.resolveFile(base, extensions, context);
+        if (found !== undefined) return found;
+        const slash = base.lastIndexOf('/');
+        return this.resolveFile(`${base.slice(0, slash + 1)}_${base.slice(slash + 1)}`, extensions, context);
+    }
+
+    // First loaded file among base, base + extension, base/index + extension. TypeScript sources may be
+    // imported by their emitted .js name.
+    resolveFile(base, extensions, context) {
+        const tries = [base, ...extensions.map(ext => base + ext), ...extensions.map(ext => `${base}/index${ext}`)];
+        const emitted = base.match(/^(.*)\.(m?)jsx?$/);
+        if (emitted) tries.push(`${emitted[1]}.${emitted[2]}ts`, `${emitted[1]}.tsx`);
+        for (const path of tries) {
+            if (context.byPath.has(path)) return context.byPath.get(path);
+        }
+        return undefined;
+    }
+
+    // Among several files, the one sharing the longest directory prefix with `dir`
+    closestPath(indices, dir, context) {
+        const shared = i => {
+            const a = context.paths[i].split('/');
+            const b = dir.split('/');
+            let n = 0;
+            while (n < a.length && n < b.length && a[n] === b[n]) n++;
+            return n;
+        };
+        return indices.sort((x, y) => shared(y) - shared(x) || context.paths[x].length - context.paths[y].length)[0];
+    }
+
+    dirName(path) {
+        return path.split('/').slice(0, -1).join('/');
+    }
+
+    // Join and normalise "." / ".." segments (never above the first segment)
+    joinPath(dir, rel) {
+        const out = dir ? dir.split('/') : [];
+        rel.split('/').forEach(segment => {
+            if (segment === '..') out.pop();
+            else if (segment && segment !== '.') out.push(segment);
+        });
+        return out.join('/');
+    }
+
+    // --- ARCHIVES ---
+    // A dropped .zip / .tar / .tar.gz is unpacked in memory and walked like a folder. Zip reading needs
+    // JSZip (page only); tar is parsed here, gzip goes through DecompressionStream.
+    archiveType(name) {
+        const lower = name.toLowerCase();
+        if (lower.endsWith('.zip')) return 'zip';
+        if (lower.endsWith('.tar')) return 'tar';
+        if (lower.endsWith('.tar.gz') || lower.endsWith('.tgz')) return 'tar.gz';
+        return null;
+    }
+
+    // Archive tool metadata that isn't part of the project
+    isArchiveJunk(path) {
+        return /(^|\/)__MACOSX\//.test(path) || /(^|\/)(\.DS_Store|pax_global_header)$/.test(path);
+    }
+
+    // 'gzip' for archives, 'deflate' (zlib) for Git objects
+    async decompress(bytes, format) {
+        if (typeof DecompressionStream === 'undefined') throw new Error(`当前环境不支持 ${format} 解压`);
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // Regular files of a (possibly gzipped) tar as [{ path, data }]. Handles ustar prefixes,
+    // GNU long names and pax "path" records; links and devices are skipped.
+    async readTarArchive(bytes) {
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) bytes = await this.decompress(bytes, 'gzip');
+        const decoder = new TextDecoder('utf-8');
+        const text = (start, length) => {
+            let end = start;
+            while (end < start + length && bytes[end] !== 0) end++;
+            return decoder.decode(bytes.subarray(start, end));
+        };
+        const files = [];
+        let offset = 0, longName = null, paxPath = null;
+        while (offset + 512 <= bytes.length) {
+            const name = text(offset, 100);
+            if (!name) break; // Two zero blocks end the archive
+            const size = parseInt(text(offset + 124, 12).trim() || '0', 8);
+            const type = bytes[offset + 156] ? String.fromCharCode(bytes[offset + 156]) : '0';
+            const prefix = text(offset + 257, 5) === 'ustar' ? text(offset + 345, 155) : '';
+            const data = bytes.subarray(offset + 512, offset + 512 + size);
+            offset += 512 + Math.ceil(size / 512) * 512;
+
+            if (type === 'L') { longName = decoder.decode(data).replace(/\0+$/, ''); continue; }
+            if (type === 'x') { paxPath = this.parsePaxPath(decoder.decode(data)) || paxPath; continue; }
+            if (type === 'g') continue;
+            const path = (paxPath || longName || (prefix ? `${prefix}/${name}` : name)).replace(/^\.\//, '');
+            longName = paxPath = null;
+            if ((type === '0' || type === '7') && path && !this.isArchiveJunk(path)) files.push({ path, data });
+        }
+        return files;
+    }
+
+    // pax records are "<length> <key>=<value>\n"
+    parsePaxPath(records) {
+        const match = records.match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+        return match ? match[1] : null;
+    }
+
+    // --- GIT ---
+    // Read-only access to a dropped repository's .git folder: refs, packed-refs, index, loose and packed
+    // objects (with delta chains). `gitFs` abstracts where the folder came from: { file(path) -> Blob | null,
+    // list(dir) -> names }, paths relative to .git. Objects are inflated with DecompressionStream.
+    async openGitRepo(gitFs) {
+        const head = await this.readGitText(gitFs, 'HEAD');
+        if (head === null) throw new Error('不是有效的 Git 仓库（缺少 HEAD）');
+        const repo = { fs: gitFs, packs: [], packedRefs: new Map(), cache: new Map() };
+
+        const packedRefs = await this.readGitText(gitFs, 'packed-refs');
+        (packedRefs || '').split('\n').forEach(line => {
+            const match = line.match(/^([0-9a-f]{40}) (\S+)$/);
+            if (match) repo.packedRefs.set(match[2], match[1]);
+        });
+
+        const packNames = (await gitFs.list('objects/pack')).filter(name => name.endsWith('.idx'));
+        for (const name of packNames) {
+            const idx = await gitFs.file(`objects/pack/${name}`);
+            const pack = await gitFs.file(`objects/pack/${name.replace(/\.idx$/, '.pack')}`);
+            if (idx && pack) repo.packs.push({ ...this.parsePackIndex(new Uint8Array(await idx.arrayBuffer()), pack.size), pack });
+        }
+        return repo;
+    }
+
+    async readGitText(gitFs, path) {
+        const file = await gitFs.file(path);
+        return file ? new TextDecoder().decode(await file.arrayBuffer()) : null;
+    }
+
+    // Pack index v2: fan-out table, sorted object names, CRCs, 31-bit offsets (+ 64-bit table).
+    // `ends` maps every offset to where the object's data stops, which is where the next one starts.
+    parsePackIndex(bytes, packSize) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (view.getUint32(0) !== 0xff744f63 || view.getUint32(4) !== 2) throw new Error('不支持的 pack 索引版本');
+        const fanout = i => view.getUint32(8 + i * 4);
+        const count = fanout(255);
+        const namesStart = 8 + 256 * 4;
+        const offsetsStart = namesStart + count * 20 + count * 4;
+        const largeStart = offsetsStart + count * 4;
+        const offsets = new Array(count);
+        for (let i = 0; i < count; i++) {
+            const value = view.getUint32(offsetsStart + i * 4);
+            offsets[i] = value & 0x80000000 ?
+                Number(view.getBigUint64(largeStart + (value & 0x7fffffff) * 8)) : value;
+        }
+        const sorted = offsets.slice().sort((a, b) => a - b);
+        const ends = new Map(sorted.map((offset, i) => [offset, i + 1 < sorted.length ? sorted[i + 1] : packSize - 20]));
+        return { names: bytes.subarray(namesStart, namesStart + count * 20), fanout, count, offsets, ends };
+    }
+
+    // Position of an object (full or abbreviated hex name) in a pack index, -1 if absent
+    findInPack(pack, hex) {
+        const first = parseInt(hex.slice(0, 2), 16);
+        const start = first === 0 ? 0 : pack.fanout(first - 1);
+        const end = pack.fanout(first);
+        for (let i = start; i < end; i++) {
+            if (this.toHex(pack.names.subarray(i * 20, i * 20 + 20)).startsWith(hex)) return i;
+        }
+        return -1;
+    }
+
+    toHex(bytes) {
+        let hex = '';
+        for (let i = 0; i < bytes.length; i++) hex += bytes[i].toString(16).padStart(2, '0');
+        return hex;
+    }
+
+    // { type: 'commit' | 'tree' | 'blob' | 'tag', data }
+    async readGitObject(repo, sha) {
+        if (repo.cache.has(sha)) return repo.cache.get(sha);
+        let object = null;
+        const loose = await repo.fs.file(`objects/${sha.slice(0, 2)}/${sha.slice(2)}`);
+        if (loose) {
+            const raw = await this.decompress(new Uint8Array(await loose.arrayBuffer()), 'deflate');
+            const nul = raw.indexOf(0);
+            object = { type: new TextDecoder().decode(raw.subarray(0, nul)).split(' ')[0], data: raw.subarray(nul + 1) };
+        } else {
+            for (const pack of repo.packs) {
+                const i = this.findInPack(pack, sha);
+                if (i !== -1) {
+                    object = await this.readPackObject(repo, pack, pack.offsets[i]);
+                    break;
+                }
+            }
+        }
+        if (!object) throw new Error(`Git 对象缺失: ${sha}`);
+        // Stability: keep the cache bounded, blobs can be large
+        if (repo.cache.size > 500) repo.cache.clear();
+        repo.cache.set(sha, object);
+        return object;
+    }
+
+    async readPackObject(repo, pack, offset) {
+        const types = { 1: 'commit', 2: 'tree', 3: 'blob', 4: 'tag' };
+        const head = new Uint8Array(await pack.pack.slice(offset, offset + 64).arrayBuffer());
+        let pos = 0;
+        let byte = head[pos++];
+        const type = (byte >> 4) & 7;
+        while (byte & 0x80) byte = head[pos++]; // Inflated size, DecompressionStream doesn't need it
+
+        let base = null;
+        if (type === 6) {
+            // OFS_DELTA: base offset relative to this object, big-endian with an implicit +1 per extra byte
+            byte = head[pos++];
+            let distance = byte & 0x7f;
+            while (byte & 0x80) {
+                byte = head[pos++];
+                distance = ((distance + 1) * 128) + (byte & 0x7f);
+            }
+            base = await this.readPackObject(repo, pack, offset - distance);
+        } else if (type === 7) {
+            base = await this.readGitObject(repo, this.toHex(head.subarray(pos, pos + 20)));
+            pos += 20;
+        } else if (!types[type]) {
+            throw new Error(`未知的 pack 对象类型: ${type}`);
+        }
+        const compressed = new Uint8Array(await pack.pack.slice(offset + pos, pack.ends.get(offset)).arrayBuffer());
+        const data = await this.decompress(compressed, 'deflate');
+        return base ? { type: base.type, data: this.applyGitDelta(base.data, data) } : { type: types[type], data };
+    }
+
+    // Delta: source and target sizes, then copy (offset/size from the base) and insert instructions
+    applyGitDelta(base, delta) {
+        let pos = 0;
+        const varint = () => {
+            let value = 0, shift = 0, byte;
+            do {
+                byte = delta[pos++];
+                value += (byte & 0x7f) * Math.pow(2, shift);
+                shift += 7;
+            } while (byte & 0x80);
+            return value;
+        };
+        varint();
+        const out = new Uint8Array(varint());
+        let written = 0;
+        while (pos < delta.length) {
+            const op = delta[pos++];
+            if (op & 0x80) {
+                let offset = 0, size = 0;
+                for (let i = 0; i < 4; i++) if (op & (1 << i)) offset += delta[pos++] * Math.pow(2, 8 * i);
+                for (let i = 0; i < 3; i++) if (op & (0x10 << i)) size += delta[pos++] * Math.pow(2, 8 * i);
+                if (size === 0) size = 0x10000;
+                out.set(base.subarray(offset, offset + size), written);
+                written += size;
+            } else if (op > 0) {
+                out.set(delta.subarray(pos, pos + op), written);
+                pos += op;
+                written += op;
+            }
+        }
+        return out;
+    }
+
+    // Commit sha for "HEAD", a branch, tag or remote name, a (short) sha, with any number of ~N / ^ suffixes
+    async resolveGitRef(repo, spec) {
+        const match = spec.trim().match(/^(.+?)((?:~\d*|\^)*)$/);
+        if (!match) throw new Error(`无法解析的 ref: ${spec}`);
+        let sha = await this.resolveGitName(repo, match[1]);
+        if (!sha) throw new Error(`找不到 ref: ${match[1]}`);
+        sha = await this.peelToCommit(repo, sha);
+        for (const step of match[2].match(/~\d*|\^/g) || []) {
+            const count = step === '^' || step === '~' ? 1 : parseInt(step.slice(1), 10);
+            for (let i = 0; i < count; i++) {
+                const parent = this.parseGitCommit((await this.readGitObject(repo, sha)).data).parents[0];
+                if (!parent) throw new Error(`${spec} 超出了提交历史`);
+                sha = parent;
+            }
+        }
+        return sha;
+    }
+
+    async resolveGitName(repo, name) {
+        for (const ref of [name, `refs/${name}`, `refs/tags/${name}`, `refs/heads/${name}`, `refs/remotes/${name}`, `refs/remotes/${name}/HEAD`]) {
+            const text = await this.readGitText(repo.fs, ref);
+            if (text !== null) {
+                const symbolic = text.match(/^ref: (\S+)/);
+                return symbolic ? this.resolveGitName(repo, symbolic[1]) : text.trim();
+            }
+            if (repo.packedRefs.has(ref)) return repo.packedRefs.get(ref);
+        }
+        if (!/^[0-9a-f]{4,40}$/i.test(name)) return null;
+        // Abbreviated object name: loose objects first, then every pack
+        const hex = name.toLowerCase();
+        const loose = (await repo.fs.list(`objects/${hex.slice(0, 2)}`)).filter(n => n.startsWith(hex.slice(2)));
+        if (loose.length === 1) return hex.slice(0, 2) + loose[0];
+        for (const pack of repo.packs) {
+            const i = this.findInPack(pack, hex);
+            if (i !== -1) return this.toHex(pack.names.subarray(i * 20, i * 20 + 20));
+        }
+        return null;
+    }
+
+    // Annotated tags point at a tag object, follow it to the commit
+    async peelToCommit(repo, sha) {
+        let object = await this.readGitObject(repo, sha);
+        while (object.type === 'tag') {
+            sha = new TextDecoder().decode(object.data).match(/^object ([0-9a-f]{40})/)[1];
+            object = await this.readGitObject(repo, sha);
+        }
+        if (object.type !== 'commit') throw new Error(`${sha.slice(0, 7)} 不是提交`);
+        return sha;
+    }
+
+    parseGitCommit(data) {
+        const text = new TextDecoder().decode(data);
+        const header = text.split('\n\n')[0];
+        return {
+            tree: header.match(/^tree ([0-9a-f]{40})/m)[1],
+            parents: (header.match(/^parent [0-9a-f]{40}/gm) || []).map(line => line.slice(7)),
+            message: text.slice(header.length + 2).split('\n')[0]
+        };
+    }
+
+    // Map of repository path -> blob sha for a commit's whole tree (submodules are left out)
+    async readGitTree(repo, commitSha) {
+        const files = new Map();
+        const walk = async (treeSha, prefix) => {
+            const data = (await this.readGitObject(repo, treeSha)).data;
+            let pos = 0;
+            while (pos < data.length) {
+                const space = data.indexOf(0x20, pos);
+                const nul = data.indexOf(0, space);
+                const mode = new TextDecoder().decode(data.subarray(pos, space));
+                const name = new TextDecoder().decode(data.subarray(space + 1, nul));
+                const sha = this.toHex(data.subarray(nul + 1, nul + 21));
+                pos = nul + 21;
+                if (mode === '40000') await walk(sha, `${prefix}${name}/`);
+                else if (mode !== '160000') files.set(prefix + name, sha);
+            }
+        };
+        await walk(this.parseGitCommit((await this.readGitObject(repo, commitSha)).data).tree, '');
+        return files;
+    }
+
+    // Paths staged in .git/index (versions 2-4), i.e. the tracked files
+    parseGitIndex(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (view.getUint32(0) !== 0x44495243) throw new Error('无效的 Git index');
+        const version = view.getUint32(4);
+        const count = view.getUint32(8);
+        const decoder = new TextDecoder();
+        const paths = new Set();
+        let pos = 12, previous = '';
+        for (let i = 0; i < count; i++) {
+            const start = pos;
+            const flags = view.getUint16(pos + 60);
+            pos += 62 + (version >= 3 && (flags & 0x4000) ? 2 : 0);
+            let path;
+            if (version === 4) {
+                // Prefix compression: drop N bytes of the previous path, then a NUL-terminated suffix
+                let strip = 0, byte;
+                do {
+                    byte = bytes[pos++];
+                    strip = (strip << 7) | (byte & 0x7f);
+                    if (byte & 0x80) strip++;
+                } while (byte & 0x80);
+                const nul = bytes.indexOf(0, pos);
+                path = previous.slice(0, previous.length - strip) + decoder.decode(bytes.subarray(pos, nul));
+                pos = nul + 1;
+            } else {
+                const nul = bytes.indexOf(0, pos);
+                path = decoder.decode(bytes.subarray(pos, nul));
+                pos = start + Math.ceil((nul - start + 1) / 8) * 8;
+            }
+            paths.add(path);
+            previous = path;
+        }
+        return paths;
+    }
+
+    // Compare the loaded files (paths start with the project folder) with a commit. Returns
+    // [{ path, status: 'modified' | 'added' | 'untracked' | 'deleted', base }] where `base` is the committed text
+    // (null when added or binary). `tracked` (from the index) tells added from untracked files; committed files
+    // under `skipped` (repository paths, folders ending in "/") were left out by the scan, not deleted.
+    async diffAgainstCommit(repo, commitSha, files, rootName, { tracked = null, skipped = [] } = {}) {
+        const tree = await this.readGitTree(repo, commitSha);
+        const normalize = text => text.replace(/\r\n/g, '\n');
+        const prefix = `${rootName}/`;
+        const changes = [];
+        const seen = new Set();
+        for (const f of files) {
+            const path = f.path.replace(/\\/g, '/');
+            if (!path.startsWith(prefix)) continue; // Extra files aren't part of the repository
+            const repoPath = path.slice(prefix.length);
+            seen.add(repoPath);
+            if (!tree.has(repoPath)) {
+                changes.push({ path, status: tracked && !tracked.has(repoPath) ? 'untracked' : 'added', base: null });
+                continue;
+            }
+            if (f.oversize) continue; // Only a size notice is loaded, nothing to compare
+            const decoded = this.decodeContent((await this.readGitObject(repo, tree.get(repoPath))).data, f.encoding || 'auto');
+            const base = decoded.binary ? null : decoded.content;
+            if (base === null || normalize(base) !== normalize(f.content)) changes.push({ path, status: 'modified', base });
+        }
+        const skippedFiles = new Set(skipped.filter(p => !p.endsWith('/')));
+        const skippedDirs = skipped.filter(p => p.endsWith('/'));
+        for (const [repoPath, sha] of tree) {
+            if (seen.has(repoPath) || skippedFiles.has(repoPath) || skippedDirs.some(dir => repoPath.startsWith(dir))) continue;
+            const decoded = this.decodeContent((await this.readGitObject(repo, sha)).data);
+            changes.push({ path: prefix + repoPath, status: 'deleted', base: decoded.binary ? null : decoded.content });
+        }
+        return changes;
+    }
+
+    // Flatten with Git changes: 'diff' replaces changed files by their diff, 'both' adds it next to them.
+    // Diffs are written as `<path>.diff` reduced views, so Inflate never turns them into files.
+    applyGitChanges(files, { base, mode = 'full', changes = [] }) {
+        if (mode === 'full') return files;
+        const byPath = new Map(changes.map(c => [c.path, c]));
+        const diffFile = (change, content) => ({
+            path: `${change.path}.diff`, reduction: 'full',
+            content: `${this.config.REDUCED_MARKER} (git diff vs ${base}), not the full file\n` +
+                this.formatUnifiedDiff(change.path, change.base, content)
+        });
+        const out = [];
+        files.forEach(f => {
+            const change = byPath.get(f.path.replace(/\\/g, '/'));
+            // Binary on either side or only a size notice: no useful diff, keep the file as it is
+            if (!change || f.oversize || (change.status === 'modified' && change.base === null)) {
+                out.push(f);
+                return;
+            }
+            if (mode === 'both') out.push(f);
+            out.push(diffFile(change, f.content));
+        });
+        changes.filter(c => c.status === 'deleted' && c.base !== null).forEach(c => out.push(diffFile(c, null)));
+        return out;
+    }
+
+    summarizeGitChanges({ base, changes = [] }) {
+        if (changes.length === 0) return `\nGit changes (vs ${base}): none\n`;
+        const codes = { modified: 'M', added: 'A', untracked: '?', deleted: 'D' };
+        const counts = Object.keys(codes).map(status => [status, changes.filter(c => c.status === status).length])
+            .filter(([, count]) => count > 0).map(([status, count]) => `${count} ${status}`);
+        return `\nGit changes (vs ${base}): ${counts.join(', ')}\n` +
+            changes.map(c => `${codes[c.status]} ${c.path}`).join('\n') + '\n';
+    }
+
+    // Unified diff of one file, `git diff` style (no index line). A null side is an added / deleted file.
+    formatUnifiedDiff(path, oldText, newText) {
+        // The final newline isn't a line of its own here
+        const trim = text => text.replace(/\r\n/g, '\n').replace(/\n$/, '');
+        const asOps = (text, type) => text === null || text === '' ? [] : trim(text).split('\n')
+            .map((line, i) => ({ type, line, oldNo: type === 'del' ? i + 1 : null, newNo: type === 'add' ? i + 1 : null }));
+        const ops = oldText === null ? asOps(newText, 'add') :
+            newText === null ? asOps(oldText, 'del') : this.diffLines(trim(oldText), trim(newText));
+        const lines = [
+            `diff --git a/${path} b/${path}`,
+            oldText === null ? '--- /dev/null' : `--- a/${path}`,
+            newText === null ? '+++ /dev/null' : `+++ b/${path}`
+        ];
+        this.buildHunks(ops).forEach(h => {
+            lines.push(`@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@`);
+            h.lines.forEach(op => lines.push({ equal: ' ', add: '+', del: '-' }[op.type] + op.line));
+        });
+        return lines.join('\n');
+    }
+
+    // --- PROJECT CONFIG ---
+    isProjectConfig(path) {
+        const parts = path.replace(/\\/g, '/').split('/');
+        return parts.length === 2 && parts[1] === this.config.PROJECT_CONFIG_FILE;
+    }
+
+    // Validate a .codeflatten.json, all keys optional:
+    //   { "ignore": [gitignore lines], "include": [globs], "ignoreDirs": [names], "ignoreExts": [suffixes],
+    //     "maxFileSize": 2097152 | "2MB", "format": "markdown", "priorities": [{ "label", "patterns": [globs] }] }
+    // Returns plain data (safe to post from the worker), throws with the file name on invalid input
+    parseProjectConfig(text) {
+        const file = this.config.PROJECT_CONFIG_FILE;
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`${file}: ${e.message}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${file}: expected an object`);
+        const isList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+        const list = key => {
+            if (data[key] === undefined) return [];
+            if (!isList(data[key])) throw new Error(`${file}: "${key}" must be an array of strings`);
+            return data[key];
+        };
+
+        const config = {
+            ignore: list('ignore'), include: list('include'), ignoreDirs: list('ignoreDirs'), ignoreExts: list('ignoreExts'),
+            maxFileSize: null, format: null, priorities: []
+        };
+        if (data.maxFileSize !== undefined) {
+            config.maxFileSize = typeof data.maxFileSize === 'number' ? data.maxFileSize : this.parseSize(data.maxFileSize);
+            if (!(config.maxFileSize > 0)) throw new Error(`${file}: "maxFileSize" must be positive`);
+        }
+        if (data.format !== undefined) {
+            if (!this.outputFormats[data.format]) throw new Error(`${file}: unknown format "${data.format}"`);
+            config.format = data.format;
+        }
+        if (data.priorities !== undefined) {
+            if (!Array.isArray(data.priorities) || !data.priorities.every(rule => rule && isList(rule.patterns))) {
+                throw new Error(`${file}: "priorities" must be a list of { "label", "patterns": [...] }`);
+            }
+            config.priorities = data.priorities.map((rule, i) => ({ label: String(rule.label || `priority ${i + 1}`), patterns: rule.patterns }));
+        }
+        return config;
+    }
+
+    // Scanner entry: parse, apply, and load the ignore lines scoped to the project folder `base`.
+    // Call it before the root's ignore files so those still take precedence.
+    loadProjectConfig(text, base) {
+        const config = this.parseProjectConfig(text);
+        this.applyProjectConfig(config);
+        if (config.ignore.length) this.parseGitIgnore(config.ignore.join('\n'), base);
+        return config;
+    }
+
+    // Layer a parsed project config over the current settings for this load (ignore lines aside, see
+    // loadProjectConfig). Its priorities are dropped first by auto-fit.
+    applyProjectConfig(config) {
+        this.config.IGNORE_DIRS = [...this.config.IGNORE_DIRS, ...config.ignoreDirs];
+        this.config.IGNORE_EXTS = [...this.config.IGNORE_EXTS, ...config.ignoreExts];
+        this.config.INCLUDE_PATTERNS = [...this.config.INCLUDE_PATTERNS, ...config.include];
+        if (config.maxFileSize) this.config.MAX_FILE_SIZE = config.maxFileSize;
+        const priorities = config.priorities.map((rule, i) => ({ id: `project-${i}`, ...rule, relative: true }));
+        this.config.AUTO_FIT_RULES = [...priorities, ...this.config.AUTO_FIT_RULES];
+    }
+
+    // "500KB", "2MB", "1.5 mb" or plain bytes
+    parseSize(value) {
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb?|mb?)?$/i);
+        if (!match) throw new Error(`Invalid size: ${value}`);
+        const unit = (match[2] || 'b').toLowerCase()[0];
+        return Math.floor(parseFloat(match[1]) * ({ b: 1, k: 1024, m: 1024 * 1024 }[unit]));
+    }
+
+    // Token Budget: choose files to deselect (lowest priority first) until the selection fits.
+    // Files matching earlier rules go first, ties and unmatched files are dropped largest-first.
+    planAutoFit(files, budget, rules) {
+        const selected = files.filter(f => f.selected);
+        let total = selected.reduce((sum, f) => sum + f.tokens, 0);
+        if (!budget || total <= budget) return [];
+
+        const rank = f => {
+            // Project priorities are written relative to the project root, the built-in rules match anywhere
+            const i = rules.findIndex(rule => rule.relative ?
+                this.matchesRelative(f.path, rule.patterns) : rule.patterns.some(p => this.matchGlob(f.path, p)));
+            return i === -1 ? rules.length : i;
+        };
+        const queue = selected
+            .map(file => ({ file, rank: rank(file) }))
+            .sort((a, b) => a.rank - b.rank || b.file.tokens - a.file.tokens);
+
+        const dropped = [];
+        for (const { file } of queue) {
+            if (total <= budget) break;
+            dropped.push(file);
+            total -= file.tokens;
+        }
+        // Greedy pass: dropping a big file may leave room, so put back what still fits (highest priority first)
+        for (let i = dropped.length - 1; i >= 0; i--) {
+            if (total + dropped[i].tokens <= budget) {
+                total += dropped[i].tokens;
+                dropped.splice(i, 1);
+            }
+        }
+        return dropped;
+    }
+
+    // --- BACKGROUND JOBS ---
+    // Shared by worker.js and the main-thread fallback in main.js, so both produce the same result
+    async runJob(type, payload, hooks = {}) {
+        await this.useTokenizer();
+        switch (type) {
+            case 'scan': return this.readFileEntries(payload.entries, payload, hooks);
+            case 'flatten': return this.buildOutput(payload);
+            // Effective token count of every file under the current reduction options
+            case 'reduce': return payload.files.map(f => this.effectiveTokens(f, payload.reduce));
+            case 'count': return this.countFiles(payload.files, payload.reduce, hooks);
+            default: throw new Error(`Unknown job: ${type}`);
+        }
+    }
+
+    async decodeFile(file, encoding = 'auto') {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const decoded = this.decodeContent(bytes, encoding);
+        // Binary data read on purpose (re-include, inflate upload) is decoded lossily as UTF-8
+        return decoded.binary ? { content: new TextDecoder('UTF-8').decode(bytes), encoding: 'UTF-8', binary: true } : decoded;
+    }
+
+    // --- CONTENT SNIFFING ---
+    // 'auto' detects the encoding per file and reports binaries, any other label is forced
+    decodeContent(bytes, encoding = 'auto') {
+        const detected = encoding === 'auto' ? this.detectEncoding(bytes) : encoding;
+        if (!detected) return { binary: true, encoding: null, content: null };
+        return { binary: false, encoding: detected, content: new TextDecoder(detected).decode(bytes) };
+    }
+
+    // BOM first; control bytes mean binary; BOM-less UTF-16 has NULs on one side of every pair, other NULs
+    // mean binary; then strict UTF-8, then the legacy CJK encoding that decodes most plausibly. null = binary.
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'UTF-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'UTF-16LE';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'UTF-16BE';
+
+        const sample = bytes.subarray(0, this.config.SNIFF_BYTES);
+        let evenNul = 0, oddNul = 0, control = 0, high = 0;
+        for (let i = 0; i < sample.length; i++) {
+            const b = sample[i];
+            if (b === 0) {
+                if (i % 2 === 0) evenNul++; else oddNul++;
+            } else if (b < 0x20 && b !== 0x09 && b !== 0x0A && b !== 0x0D && b !== 0x0C && b !== 0x1B) {
+                control++;
+            } else if (b >= 0x80) {
+                high++;
+            }
+        }
+        if (control > sample.length * 0.1) return null;
+        const pairs = sample.length / 2;
+        if (oddNul > pairs * 0.3 && evenNul < pairs * 0.05) return 'UTF-16LE';
+        if (evenNul > pairs * 0.3 && oddNul < pairs * 0.05) return 'UTF-16BE';
+        if (evenNul + oddNul > 0) return null;
+        if (high === 0 || this.isValidUtf8(sample)) return 'UTF-8';
+
+        const legacy = this.detectLegacyEncoding(sample);
+        if (legacy) return legacy;
+        // Mostly ASCII with a few stray high bytes: a Western single-byte text file, not a binary
+        return high < sample.length * 0.3 ? 'windows-1252' : null;
+    }
+
+    isValidUtf8(bytes) {
+        try {
+            // Streaming mode: a multi-byte character cut off at the end of the sample is not an error
+            new TextDecoder('UTF-8', { fatal: true }).decode(bytes, { stream: true });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // GBK and Shift_JIS share most lead bytes, so score how natural each decoding looks:
+    // undecodable characters count against both, kana favour Shift_JIS and stray half-width kana
+    // (what GBK text turns into under Shift_JIS) count against it
+    detectLegacyEncoding(sample) {
+        let best = null, bestScore = 0;
+        ['GBK', 'Shift_JIS'].forEach(encoding => {
+            const text = new TextDecoder(encoding).decode(sample, { stream: true });
+            let wide = 0, kana = 0, halfKana = 0, bad = 0;
+            for (const ch of text) {
+                const code = ch.codePointAt(0);
+                if (code < 0x80) continue;
+                if (code === 0xFFFD) bad++;
+                else if (code >= 0x3040 && code <= 0x30FF) kana++;
+                else if (code >= 0xFF61 && code <= 0xFF9F) halfKana++;
+                else if ((code >= 0x4E00 && code <= 0x9FFF) || (code >= 0x3000 && code <= 0x303F) || (code >= 0xFF00 && code <= 0xFFEF)) wide++;
+            }
+            const score = encoding === 'Shift_JIS' ?
+                wide + kana * 2 - halfKana * 2 - bad * 5 :
+                wide - bad * 5;
+            if (score > bestScore) { best = encoding; bestScore = score; }
+        });
+        return best;
+    }
+
+    // Read { file, path } entries with a small pool of parallel reads. Results keep the entry index so
+    // the caller can map them back. With `filter`, ignore files among the entries are loaded first and
+    // the rest is filtered (fileInput path); the drag-and-drop path filters while walking instead.
+    // Filtering also picks up the project's .codeflatten.json, reported back as `projectConfig` (or `projectConfigError`).
+    // Returns { files, skipped: [{ index, path, reason }], failed: [{ index, path }] }, oversize files are flagged.
+    // Binaries are skipped with reason 'binary' unless `allowBinary` (re-including them on purpose).
+    // `tokens` reflects the `reduce` options (see reduceFile), `fullTokens` the file as read.
+    async readFileEntries(entries, { encoding = 'auto', filter = false, concurrency = 8, maxSize = null, allowBinary = false, reduce = null } = {}, { onProgress, isCancelled } = {}) {
+        let queue = entries.map((entry, index) => ({ ...entry, index }));
+        const skipped = [];
+        let projectConfig = null;
+        let projectConfigError = null;
+        if (filter) {
+            this.resetIgnoreRules();
+            // Logic Fix: the project config goes first, its ignore lines rank below the ignore files
+            const configEntry = queue.find(e => this.isProjectConfig(e.path));
+            if (configEntry) {
+                try {
+                    const text = (await this.decodeFile(configEntry.file, encoding)).content;
+                    projectConfig = this.loadProjectConfig(text, configEntry.path.split('/')[0]);
+                } catch (err) {
+                    projectConfigError = err.message;
+                }
+            }
+            const order = name => this.config.IGNORE_FILES.indexOf(name);
+            const ignoreEntries = queue
+                .filter(e => this.isIgnoreFile(e.path.split('/').pop()))
+                .sort((a, b) => order(a.path.split('/').pop()) - order(b.path.split('/').pop()));
+            for (const e of ignoreEntries) {
+                this.parseGitIgnore((await this.decodeFile(e.file, encoding)).content, e.path.split('/').slice(0, -1).join('/'));
+            }
+            // Don't add ignore files to output
+            queue = queue.filter(e => {
+                if (ignoreEntries.includes(e) || e === configEntry) return false;
+                const reason = this.ignoreReason(e.path);
+                if (reason) skipped.push({ index: e.index, path: e.path, reason });
+                return !reason;
+            });
+        }
+
+        const sizeLimit = maxSize === null ? this.config.MAX_FILE_SIZE : maxSize;
+        const results = [];
+        const failed = [];
+        let next = 0, scanned = 0, bytes = 0;
+        const readNext = async () => {
+            while (next < queue.length) {
+                if (isCancelled && isCancelled()) return;
+                const { file, path, index } = queue[next++];
+                try {
+                    // Stability: OOM Protection for large files
+                    const oversize = file.size > sizeLimit;
+                    const decoded = oversize ?
+                        { content: this.oversizeNotice(file.size), encoding: null } : await this.decodeFile(file, encoding);
+                    if (decoded.binary && !allowBinary) {
+                        skipped.push({ index, path, reason: 'binary' });
+                    } else {
+                        const content = decoded.content;
+                        const fullTokens = this.estimateTokens(content);
+                        const tokens = reduce ? this.reduceFile({ path, content, tokens: fullTokens, oversize }, reduce).tokens : fullTokens;
+                        results.push({ index, path, content, tokens, fullTokens, oversize, encoding: decoded.encoding });
+                    }
+                    bytes += file.size;
+                } catch (err) {
+                    failed.push({ index, path });
+                }
+                scanned++;
+                if (onProgress) onProgress({ scanned, total: queue.length, bytes });
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, readNext));
+        // Parallel reads finish out of order, keep the scan order
+        results.sort((a, b) => a.index - b.index);
+        skipped.sort((a, b) => a.index - b.index);
+        return { files: results, skipped, failed, projectConfig, projectConfigError };
+    }
+
+    // Assemble the flatten output; numbered parts only when the selection doesn't fit into one.
+    // Content reduction runs first, then secrets are always detected; `redact.replace` decides
+    // whether the output carries placeholders. `dependencies` adds the import graph of the selection to the header,
+    // `manifest` the file manifest (see buildManifest), which is returned as well. `git` ({ base, mode, changes })
+    // lists the changes against a commit and, depending on the mode, adds or substitutes per-file diffs.
+    // `template` ({ text, task }) wraps the result in a prompt template.
+    buildOutput({ files, format, projectName, partSize, redact = null, reduce = null, dependencies = false, manifest = false, git = null, template = null }) {
+        let findings = [], secrets = {};
+        // Diffs come from the files as loaded, imports are read from whole files before line ranges are cut out
+        if (git) files = this.applyGitChanges(files, git);
+        let header = git ? this.summarizeGitChanges(git) : '';
+        if (dependencies) header += this.summarizeImportGraph(files, this.buildImportGraph(files));
+        files = this.sliceFileRanges(files);
+        if (reduce) files = files.map(f => this.reduceFile(f, reduce));
+        if (redact) {
+            const detectors = this.config.SECRET_DETECTORS.filter(d => !(redact.disabled || []).includes(d.id));
+            const result = this.redactSecrets(files, { detectors, custom: redact.custom || [] });
+            findings = result.findings;
+            if (redact.replace) {
+                // redactSecrets hands back the same object for a file without secrets
+                files = result.files.map((f, i) => f !== files[i] ? { ...f, redacted: true } : f);
+                secrets = result.secrets;
+            }
+        }
+        // Security: the manifest describes the content as emitted (reduced, redacted), so its hashes and
+        // line counts say nothing about the secrets that were replaced
+        const fileManifest = manifest ? this.buildManifest(files) : null;
+        if (fileManifest) header += this.renderManifest(fileManifest);
+        const marker = fileManifest ? fileManifest.marker : undefined;
+        const layout = { header, marker, ...this.layoutPromptTemplate(template, files, format, projectName, header) };
+        const parts = partSize ? this.splitIntoParts(files, format, projectName, partSize, layout) : [];
+        if (parts.length > 1) return { output: parts.join('\n'), parts, findings, secrets, manifest: fileManifest };
+        return { output: this.formatTemplated(files, format, projectName, layout), parts: [], findings, secrets, manifest: fileManifest };
+    }
+
+    // formatOutput between a template's intro and outro (see layoutPromptTemplate)
+    formatTemplated(files, format, projectName, { intro = '', outro = '', ...options } = {}) {
+        let body = this.formatOutput(files, format, projectName, options);
+        // Same trim as at the end of a part: the outro follows the last file directly
+        if (outro) body = format === 'plain' ? body.replace(/\n\n$/, '') : body.replace(/\s+$/, '');
+        return intro + body + outro;
+    }
+
+    // Output options for a prompt template: its intro / outro, and no tree in the file blocks when {{tree}} has it
+    layoutPromptTemplate(template, files, format, projectName, header) {
+        if (!template || !template.text) return {};
+        const tree = this.generateTree(files.map(f => f.path.replace(/\\/g, '/'))) + header;
+        const usesTree = this.usesTemplateVariable(template.text, 'tree');
+        const tokenCount = this.estimateTokens(this.formatOutput(files, format, projectName, { header }));
+        const vars = { tree: usesTree ? tree.replace(/\n+$/, '') : '', task: template.task || '', project: projectName, tokenCount };
+        return { ...this.splitPromptTemplate(template.text, vars), tree: usesTree ? null : undefined };
+    }
+
+    // --- SECRET REDACTION ---
+    // Replace detected secrets with placeholders. The same value always gets the same placeholder, so
+    // `secrets` ({ placeholder: value }) can put them back when the text returns through Inflate.
+    // Returns { files (redacted copies), findings: [{ path, line, detector, placeholder }], secrets }.
+    redactSecrets(files, { detectors = this.config.SECRET_DETECTORS, custom = [] } = {}) {
+        const all = detectors.concat(custom.map((source, i) => ({
+            id: `custom_${i + 1}`, label: `自定义 #${i + 1}`, pattern: new RegExp(source, 'g')
+        })));
+        const placeholders = new Map();
+        const counters = {};
+        const secrets = {};
+        const findings = [];
+        const placeholderFor = (detector, value) => {
+            if (!placeholders.has(value)) {
+                counters[detector.id] = (counters[detector.id] || 0) + 1;
+                const placeholder = `__REDACTED_${detector.id.toUpperCase()}_${counters[detector.id]}__`;
+                placeholders.set(value, placeholder);
+                secrets[placeholder] = value;
+            }
+            return placeholders.get(value);
+        };
+
+        const redacted = files.map(file => {
+            let content = file.content;
+            const fileFindings = [];
+            all.forEach(detector => {
+                if (detector.files && !detector.files.some(glob => this.matchGlob(file.path, glob))) return;
+                const flags = detector.pattern.flags.includes('g') ? detector.pattern.flags : detector.pattern.flags + 'g';
+                const regex = new RegExp(detector.pattern.source, flags);
+                content = content.replace(regex, (...args) => {
+                    const match = args[0];
+                    // Capture groups are strings or undefined, the first number is the match offset
+                    const offset = args.find((arg, i) => i > 0 && typeof arg === 'number');
+                    const value = detector.group ? args[detector.group] : match;
+                    if (!value || value.startsWith('__REDACTED_')) return match;
+                    if (detector.minEntropy && !this.looksRandom(value, detector.minEntropy)) return match;
+
+                    const placeholder = placeholderFor(detector, value);
+                    fileFindings.push({ path: file.path, line: content.slice(0, offset).split('\n').length, detector: detector.label, placeholder });
+                    if (!detector.group) return placeholder;
+                    const at = match.lastIndexOf(value);
+                    return match.slice(0, at) + placeholder + match.slice(at + value.length);
+                });
+            });
+            findings.push(...fileFindings.sort((a, b) => a.line - b.line));
+            return content === file.content ? file : { ...file, content, tokens: this.estimateTokens(content) };
+        });
+        return { files: redacted, findings, secrets };
+    }
+
+    // Shannon entropy in bits per character; keys mix digits and letters, identifiers rarely do
+    looksRandom(value, minEntropy) {
+        if (!/\d/.test(value) || !/[A-Za-z]/.test(value)) return false;
+        const counts = {};
+        for (const ch of value) counts[ch] = (counts[ch] || 0) + 1;
+        const entropy = Object.values(counts).reduce((sum, n) => {
+            const p = n / value.length;
+            return sum - p * Math.log2(p);
+        }, 0);
+        return entropy >= minEntropy;
+    }
+
+    // Put redacted values back; returns { text, restored } with the number of placeholders replaced
+    restoreSecrets(text, secrets) {
+        let restored = 0;
+        const keys = Object.keys(secrets);
+        if (keys.length === 0) return { text, restored };
+        const regex = new RegExp(keys.map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+        text = text.replace(regex, key => {
+            restored++;
+            return secrets[key];
+        });
+        return { text, restored };
+    }
+
+    // --- CONTENT REDUCTION ---
+    // Shrink a file for the budget. `options` are the global transforms { license, comments, outline, blank };
+    // `file.reduction` overrides them per file: 'default', 'full' (untouched) or 'outline'.
+    // Reduced files start with a marker line so the model (and Inflate) know it's not the whole file.
+    reduceFile(file, options = {}) {
+        const mode = file.reduction || 'default';
+        if (mode === 'full' || file.oversize) return file;
+        const language = this.getLanguage(file.path);
+        const steps = [];
+        let content = file.content;
+        const apply = (step, transform) => {
+            const next = transform(content);
+            if (next !== null && next !== content) {
+                steps.push(step);
+                content = next;
+            }
+        };
+        if (options.license) apply('license', text => this.stripLicenseHeader(text, language));
+        if (options.comments) apply('comments', text => this.stripComments(text, language));
+        if (options.outline || mode === 'outline') apply('outline', text => this.outline(text, language));
+        if (options.blank) apply('blank', text => this.collapseBlankLines(text));
+        if (steps.length === 0) return file;
+
+        // The marker goes first, after a shebang if there is one
+        const marker = this.reductionMarker(language, steps);
+        const firstLineEnd = content.indexOf('\n') + 1;
+        const shebang = content.startsWith('#!') && firstLineEnd > 0 ? content.slice(0, firstLineEnd) : '';
+        content = shebang + marker + '\n' + content.slice(shebang.length);
+        const tokens = this.estimateTokens(content);
+        // Not worth the marker: keep the file as it is
+        const fullTokens = file.tokens !== undefined ? file.tokens : this.estimateTokens(file.content);
+        if (tokens >= fullTokens) return file;
+        return { ...file, content, tokens, reducedBy: steps };
+    }
+
+    reductionMarker(language, steps) {
+        const labels = {
+            license: 'license header removed', comments: 'comments removed',
+            outline: 'outline only, bodies elided', blank: 'blank lines collapsed'
+        };
+        const note = `${this.config.REDUCED_MARKER} (${steps.map(s => labels[s]).join(', ')}), not the full file`;
+        const syntax = this.commentSyntax(language);
+        if (syntax && syntax.line.length) return `${syntax.line[0]} ${note}`;
+        if (syntax && syntax.block.length) return `${syntax.block[0][0]} ${note} ${syntax.block[0][1]}`;
+        return note;
+    }
+
+    isReducedView(content) {
+        return content.split('\n', 3).some(line => line.includes(this.config.REDUCED_MARKER));
+    }
+
+    commentSyntax(language) {
+        switch (language) {
+            case 'javascript': case 'jsx': case 'typescript': case 'tsx':
+                return { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'", '`'], regex: true };
+            case 'go':
+                return { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'", '`'] };
+            case 'rust': // No single quotes: lifetimes ('a) would open a char literal
+                return { line: ['//'], block: [['/*', '*/']], quotes: ['"'] };
+            case 'java': case 'kotlin': case 'swift': case 'c': case 'cpp': case 'csharp':
+            case 'dart': case 'php': case 'scss': case 'less':
+                return { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'"] };
+            case 'css':
+                return { line: [], block: [['/*', '*/']], quotes: ['"', "'"] };
+            case 'python':
+                return { line: ['#'], block: [], quotes: ['"', "'"], triple: true, hashNeedsSpace: true };
+            case 'ruby': case 'bash': case 'yaml': case 'toml': case 'powershell': case 'dockerfile': case 'makefile':
+                // "#" only starts a comment at line start or after whitespace (color: #fff, ${#arr})
+                return { line: ['#'], block: [], quotes: ['"', "'"], hashNeedsSpace: true };
+            case 'sql':
+                return { line: ['--'], block: [['/*', '*/']], quotes: ["'"] };
+            case 'html': case 'xml': case 'markdown': case 'vue': case 'svelte':
+                return { line: [], block: [['<!--', '-->']], quotes: [] };
+            default:
+                return null;
+        }
+    }
+
+    // Language-aware comment removal: strings (and JS regex literals) are copied verbatim.
+    // Block comments keep their line breaks so lines map 1:1, then comment-only lines are dropped.
+    stripComments(content, language) {
+        const syntax = this.commentSyntax(language);
+        if (!syntax) return null;
+        let out = '';
+        let i = 0;
+        const n = content.length;
+        while (i < n) {
+            const ch = content[i];
+            if (i === 0 && content.startsWith('#!')) { // Shebang
+                const end = content.indexOf('\n');
+                out += end === -1 ? content : content.slice(0, end);
+                i = end === -1 ? n : end;
+                continue;
+            }
+            if (syntax.triple && (content.startsWith('"""', i) || content.startsWith("'''", i))) {
+                const end = content.indexOf(content.substr(i, 3), i + 3);
+                const stop = end === -1 ? n : end + 3;
+                out += content.slice(i, stop);
+                i = stop;
+                continue;
+            }
+            if (syntax.quotes.includes(ch)) {
+                let j = i + 1;
+                while (j < n && content[j] !== ch) {
+                    if (content[j] === '\\') j++;
+                    else if (content[j] === '\n' && ch !== '`') break;
+                    j++;
+                }
+                out += content.slice(i, j + 1);
+                i = j + 1;
+                continue;
+            }
+            const lineToken = syntax.line.find(token => content.startsWith(token, i));
+            if (lineToken && !(syntax.hashNeedsSpace && i > 0 && !/\s/.test(content[i - 1]))) {
+                const end = content.indexOf('\n', i);
+                i = end === -1 ? n : end;
+                continue;
+            }
+            const block = syntax.block.find(([open]) => content.startsWith(open, i));
+            if (block) {
+                const end = content.indexOf(block[1], i + block[0].length);
+                const stop = end === -1 ? n : end + block[1].length;
+                out += content.slice(i, stop).replace(/[^\n]/g, '');
+                i = stop;
+                continue;
+            }
+            // A slash where an expression may start opens a regex literal, not a division
+            if (syntax.regex && ch === '/' && /(^|[(,=:[!&|?{};+\-*%<>~^]|\breturn|\btypeof)\s*$/.test(out.slice(-20))) {
+                let j = i + 1, inClass = false;
+                while (j < n && content[j] !== '\n' && (inClass || content[j] !== '/')) {
+                    if (content[j] === '\\') j++;
+                    else if (content[j] === '[') inClass = true;
+                    else if (content[j] === ']') inClass = false;
+                    j++;
+                }
+                out += content.slice(i, j + 1);
+                i = j + 1;
+                continue;
+            }
+            out += ch;
+            i++;
+        }
+        const original = content.split('\n');
+        return out.split('\n')
+            .map(line => line.replace(/[ \t]+$/, ''))
+            .filter((line, k) => line.trim() !== '' || (original[k] || '').trim() === '')
+            .join('\n');
+    }
+
+    // Leading comment block (after a shebang) that mentions a license or copyright
+    stripLicenseHeader(content, language) {
+        const syntax = this.commentSyntax(language);
+        if (!syntax) return null;
+        const shebang = content.startsWith('#!') ? content.slice(0, content.indexOf('\n') + 1) : '';
+        const rest = content.slice(shebang.length);
+        const lead = rest.match(/^\s*/)[0];
+        let header = '';
+        const block = syntax.block.find(([open]) => rest.startsWith(open, lead.length));
+        if (block) {
+            const end = rest.indexOf(block[1], lead.length);
+            if (end !== -1) header = rest.slice(lead.length, end + block[1].length);
+        } else if (syntax.line.length) {
+            const tokens = syntax.line.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+            const match = rest.slice(lead.length).match(new RegExp(`^(?:[ \\t]*(?:${tokens})[^\\n]*(?:\\n|$))+`));
+            if (match) header = match[0];
+        }
+        if (!header || !/licen[cs]e|copyright|spdx-license|\(c\)/i.test(header)) return content;
+        return shebang + rest.slice(lead.length + header.length).replace(/^[ \t]*\n/, '');
+    }
+
+    collapseBlankLines(content) {
+        return content.split('\n')
+            .map(line => line.replace(/[ \t]+$/, ''))
+            .filter((line, i, lines) => line !== '' || (i > 0 && lines[i - 1] !== ''))
+            .join('\n')
+            .replace(/^\n+|\n+$/g, '');
+    }
+
+    // Outline: imports, declarations and signatures only; null for languages without one
+    outline(content, language) {
+        if (language === 'python') return this.outlinePython(this.stripComments(content, language));
+        const family = ['javascript', 'jsx', 'typescript', 'tsx'].includes(language) ? 'javascript' : language;
+        const patterns = this.config.OUTLINE_PATTERNS[family];
+        return patterns ? this.outlineBraces(this.stripComments(content, language), patterns) : null;
+    }
+
+    outlineBraces(content, patterns) {
+        const count = (text, ch) => text.split(ch).length - 1;
+        // Blank out string contents (same length) so braces inside strings don't count
+        const mask = text => text.replace(/(["'`])(?:\\.|(?!\1).)*?\1/g, m => m[0] + ' '.repeat(m.length - 2) + m[m.length - 1]);
+        const test = (name, text) => Boolean(patterns[name] && patterns[name].test(text));
+        const lines = content.split('\n');
+        const out = [];
+        // Open blocks: 'keep' copies its body, 'skip' drops it, 'container' is outlined itself
+        const frames = [];
+        let depth = 0;
+        let awaitingBody = false;
+
+        for (let k = 0; k < lines.length; k++) {
+            let header = lines[k];
+            let code = mask(header);
+            const frame = frames[frames.length - 1];
+            if (frame && frame.kind !== 'container') {
+                if (frame.kind === 'keep') out.push(header);
+                depth += count(code, '{') - count(code, '}');
+                if (depth <= frame.depth) frames.pop();
+                continue;
+            }
+            if (!code.trim()) continue;
+
+            // Body brace of the previous signature on its own line (Java / C# style)
+            if (awaitingBody && code.trim().startsWith('{')) {
+                awaitingBody = false;
+                out[out.length - 1] += ' { … }';
+                const opened = count(code, '{') - count(code, '}');
+                if (opened > 0) frames.push({ kind: 'skip', depth });
+                depth += opened;
+                continue;
+            }
+            awaitingBody = false;
+
+            // A multi-line header (parameter lists, Go import blocks) ends when its parentheses balance
+            while (count(code, '(') > count(code, ')') && k + 1 < lines.length) {
+                header += '\n' + lines[++k];
+                code = mask(header);
+            }
+            const opened = count(code, '{') - count(code, '}');
+            const trimmed = header.trim();
+            const inContainer = Boolean(frame);
+
+            if (opened < 0) {
+                depth += opened;
+                if (inContainer && depth <= frame.depth) {
+                    out.push(header);
+                    frames.pop();
+                }
+                continue;
+            }
+
+            let kind = 'drop';
+            if (test('imports', trimmed) || test('types', trimmed) || test('annotations', trimmed)) kind = 'keep';
+            else if (test('containers', trimmed)) kind = 'container';
+            else if (test(inContainer ? 'members' : 'functions', trimmed)) kind = 'function';
+            else if (inContainer && test('fields', trimmed)) kind = 'keep';
+
+            if (kind === 'function') {
+                const brace = code.indexOf('{');
+                if (brace === -1) {
+                    out.push(header);
+                    awaitingBody = !/[;,]$/.test(trimmed) && !code.includes('=>');
+                } else {
+                    out.push(header.slice(0, brace + 1) + ' … }');
+                }
+                if (opened > 0) frames.push({ kind: 'skip', depth });
+            } else {
+                if (kind !== 'drop') out.push(header);
+                if (opened > 0) frames.push({ kind: kind === 'drop' ? 'skip' : kind, depth });
+            }
+            depth += opened;
+        }
+        return out.join('\n');
+    }
+
+    // Python outline by indentation: imports, decorators, class headers with their annotated fields,
+    // and def signatures with the body replaced by "..."
+    outlinePython(content) {
+        const count = (text, ch) => text.split(ch).length - 1;
+        const lines = content.split('\n');
+        const out = [];
+        let bodyIndent = null; // Inside a def: skip everything indented deeper than its header
+        const classIndents = [];
+
+        for (let k = 0; k < lines.length; k++) {
+            const line = lines[k];
+            const trimmed = line.trim();
+            if (!trimmed) continue;
+            const indent = line.length - line.trimStart().length;
+            if (bodyIndent !== null) {
+                if (indent > bodyIndent) continue;
+                bodyIndent = null;
+            }
+            while (classIndents.length && indent <= classIndents[classIndents.length - 1]) classIndents.pop();
+
+            if (/^(import|from)\s/.test(trimmed) || trimmed.startsWith('@')) {
+                let statement = line;
+                while (count(statement, '(') > count(statement, ')') && k + 1 < lines.length) statement += '\n' + lines[++k];
+                out.push(statement);
+            } else if (/^(async\s+def|def|class)\s/.test(trimmed)) {
+                let header = line;
+                while (count(header, '(') > count(header, ')') && k + 1 < lines.length) header += '\n' + lines[++k];
+                out.push(header);
+                if (!/:\s*$/.test(header)) continue; // One-liner, nothing to elide
+                if (trimmed.startsWith('class')) {
+                    classIndents.push(indent);
+                } else {
+                    out.push(' '.repeat(indent + 4) + '...');
+                    bodyIndent = indent;
+                }
+            } else if (classIndents.length > 0 && /^[A-Za-z_]\w*\s*:[^=]/.test(trimmed)) {
+                out.push(line); // Annotated class fields (dataclasses, pydantic models)
+            }
+        }
+        return out.join('\n');
+    }
+
+    // Stability: OOM Protection, placeholder content for files over MAX_FILE_SIZE
+    oversizeNotice(size) {
+        return `// [WARN] File skipped: size (${(size/1024/1024).toFixed(2)}MB) exceeds limit.\n`;
+    }
+
+    // --- TOKENIZERS ---
+    // Switch to a tokenizer from TOKENIZERS ('heuristic' needs nothing loaded)
+    async useTokenizer(id = this.config.TOKENIZER) {
+        if (id === 'heuristic') {
+            this.tokenizer = null;
+            return;
+        }
+        if (!this.tokenizers[id]) this.tokenizers[id] = this.loadTokenizer(id);
+        try {
+            this.tokenizer = await this.tokenizers[id];
+        } catch (e) {
+            delete this.tokenizers[id]; // Let the next attempt retry the download
+            throw e;
+        }
+    }
+
+    // Vocabularies ship next to core.js: read from disk under Node, fetched by the page and the worker
+    async loadTokenizer(id) {
+        if (!this.config.TOKENIZERS.some(t => t.id === id)) throw new Error(`Unknown tokenizer: ${id}`);
+        const file = `${this.config.TOKENIZER_PATH}/${id}.json`;
+        let data;
+        if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+            data = JSON.parse(require('fs').readFileSync(require('path').join(__dirname, file), 'utf8'));
+        } else {
+            const response = await fetch(file);
+            if (!response.ok) throw new Error(`${file}: HTTP ${response.status}`);
+            data = await response.json();
+        }
+        return this.createBpeTokenizer(data);
+    }
+
+    // Byte-pair encoding in the tiktoken format: `pat_str` splits the text into pieces, each piece's
+    // UTF-8 bytes are merged by rank. `bpe_ranks` lines read "<prefix> <first rank> <base64 token>...".
+    // Only counts are needed, so token ids are never materialised.
+    createBpeTokenizer(data) {
+        const ranks = new Map();
+        data.bpe_ranks.split('\n').forEach(line => {
+            const [, offset, ...tokens] = line.split(' ');
+            if (!offset) return;
+            const first = parseInt(offset, 10);
+            tokens.forEach((token, i) => ranks.set(atob(token), first + i)); // Keys are byte strings
+        });
+        const pattern = new RegExp(data.pat_str, 'gu');
+        const encoder = new TextEncoder();
+        const toByteString = piece => {
+            if (/^[\x00-\x7f]*$/.test(piece)) return piece;
+            let bytes = '';
+            encoder.encode(piece).forEach(b => { bytes += String.fromCharCode(b); });
+            return bytes;
+        };
+        const rankOf = (bytes, starts, i) => {
+            if (i + 2 >= starts.length) return Infinity;
+            const rank = ranks.get(bytes.slice(starts[i], starts[i + 2]));
+            return rank === undefined ? Infinity : rank;
+        };
+        const countPiece = piece => {
+            const bytes = toByteString(piece);
+            if (ranks.has(bytes)) return 1;
+            // Repeatedly merge the adjacent pair with the lowest rank
+            const starts = Array.from({ length: bytes.length + 1 }, (_, i) => i);
+            const pairRanks = starts.map((_, i) => rankOf(bytes, starts, i));
+            while (starts.length > 2) {
+                let min = Infinity;
+                let at = -1;
+                for (let i = 0; i < pairRanks.length - 2; i++) {
+                    if (pairRanks[i] < min) {
+                        min = pairRanks[i];
+                        at = i;
+                    }
+                }
+                if (at < 0) break;
+                starts.splice(at + 1, 1);
+                pairRanks.splice(at + 1, 1);
+                pairRanks[at] = rankOf(bytes, starts, at);
+                if (at > 0) pairRanks[at - 1] = rankOf(bytes, starts, at - 1);
+            }
+            return starts.length - 1;
+        };
+
+        // Optimization: identifiers and indentation repeat a lot, remember the count of every piece
+        const cache = new Map();
+        return {
+            id: data.name,
+            count(text) {
+                let total = 0;
+                for (const [piece] of text.matchAll(pattern)) {
+                    let n = cache.get(piece);
+                    if (n === undefined) {
+                        n = countPiece(piece);
+                        if (cache.size > 200000) cache.clear(); // Stability: bound memory on huge projects
+                        cache.set(piece, n);
+                    }
+                    total += n;
+                }
+                return total;
+            }
+        };
+    }
+
+    // Recount every file after a tokenizer switch: { fullTokens, tokens } under the current reduction options
+    async countFiles(files, reduce, { onProgress, isCancelled } = {}) {
+        const counts = [];
+        let bytes = 0;
+        for (const f of files) {
+            if (isCancelled && isCancelled()) break;
+            const fullTokens = this.estimateTokens(f.content);
+            counts.push({ fullTokens, tokens: this.effectiveTokens({ ...f, tokens: fullTokens }, reduce) });
+            bytes += f.content.length;
+            if (onProgress) onProgress({ scanned: counts.length, total: files.length, bytes });
+        }
+        return counts;
+    }
+
+    // Uses the selected BPE tokenizer when one is loaded, otherwise the mixed heuristic below
+    estimateTokens(text) {
+        return this.tokenizer ? this.tokenizer.count(text) : this.heuristicTokens(text);
+    }
+
+    // Optimization: Mixed Token Algorithm
+    heuristicTokens(text) {
+        const chinese = (text.match(/[\u4e00-\u9fa5]/g) || []).length;
+        const other = text.length - chinese;
+        // Chinese ~1.5, English/Code ~0.25 (approx 4 chars/token)
+        return Math.ceil(chinese * 1.5 + other * 0.25);
+    }
+
+    generateTree(paths) {
+        let tree = {};
+        paths.forEach(path => {
+            path.replace(/\\/g, '/').split('/').reduce((r, k) => r[k] = r[k] || {}, tree);
+        });
+        const print = (node, prefix = "") => {
+            let keys = Object.keys(node);
+            return keys.map((key, i) => {
+                let last = i === keys.length - 1;
+                let str = prefix + (last ? "└── " : "├── ") + key + "\n";
+                if (Object.keys(node[key]).length) str += print(node[key], prefix + (last ? "    " : "│   "));
+                return str;
+            }).join('');
+        };
+        return Object.keys(tree).length ? (paths.length > 1 ? "Root/\n" : "") + print(tree) : "";
+    }
+
+    // Markdown fences are tagged with a language inferred from the extension
+    getLanguage(path) {
+        const range = this.parseRangePath(path); // Line-range blocks keep their file's language
+        const name = (range ? range.path : path).split('/').pop().toLowerCase();
+        if (name === 'dockerfile') return 'dockerfile';
+        if (name === 'makefile') return 'makefile';
+        const ext = name.includes('.') ? name.split('.').pop() : '';
+        return this.config.LANGUAGE_MAP[ext] || ext || 'text';
+    }
+
+    // Pluggable Output Formats: every format renders the selection and parses it back for Inflate.
+    // options.tree overrides the generated tree; null leaves the structure section out.
+    // options.header (import summary, manifest) follows the generated tree; options.marker is the plain-format bar.
+    formatOutput(files, format = 'plain', projectName = '', options = {}) {
+        const renderer = this.outputFormats[format] || this.outputFormats.plain;
+        const normalized = files.map(f => ({ path: f.path.replace(/\\/g, '/'), content: f.content }));
+        const tree = options.tree !== undefined ? options.tree : this.generateTree(normalized.map(f => f.path)) + (options.header || '');
+        return renderer.render(normalized, tree, projectName, { marker: options.marker });
+    }
+
+    // Multi-part exports are parsed part by part (a JSON part is only valid on its own),
+    // then files that were split across parts are stitched back together.
+    // A manifest in the text means it is Flatten output itself: markers are taken literally and
+    // contents exactly, without the whitespace trimming meant for model replies.
+    parseOutput(text) {
+        let format = null;
+        const files = [];
+        const manifest = this.extractManifest(text);
+        this.splitPartSegments(text).forEach(segment => {
+            const result = this.parseSingleOutput(segment, manifest);
+            if (result.files.length === 0) return;
+            format = format || result.format;
+            files.push(...result.files);
+        });
+        return { format, files: this.mergeFileParts(files), manifest };
+    }
+
+    // Auto-detect the format of a pasted reply. JSON must parse as a whole; for the text formats
+    // the earliest marker wins, so file contents that quote another format's markers don't confuse it.
+    // Without any marker the tolerant recognisers (parseLooseOutput) get a go, reported as format 'loose'.
+    parseSingleOutput(text, manifest = null) {
+        const json = this.outputFormats.json.parse(text);
+        if (json) return { format: 'json', files: json };
+
+        const candidates = ['plain', 'xml', 'markdown']
+            .map(name => ({ name, index: this.outputFormats[name].detect(text) }))
+            .filter(c => c.index > -1)
+            .sort((a, b) => a.index - b.index);
+        for (const { name } of candidates) {
+            const format = this.outputFormats[name];
+            const body = format.marker ? this.unwrapReplyFence(text, format.marker) : text;
+            let files = format.parse(body, manifest ? { exact: true, marker: manifest.marker, paths: new Set(manifest.files.map(e => e.path)) } : {});
+            if (format.marker && !manifest) files = files.map(f => ({ ...f, content: this.unwrapFileFence(f.path, f.content) }));
+            if (files.length > 0) return { format: name, files };
+        }
+        const loose = this.parseLooseOutput(text);
+        return loose.length > 0 ? { format: 'loose', files: loose } : { format: null, files: [] };
+    }
+
+    // --- TOLERANT INFLATE ---
+    // Replies that ignore the requested markers: take every fenced block whose path can be recovered from
+    // the fence info string (```js title="src/app.js", ```src/app.js, ```js:src/app.js), from the line
+    // just above it (### src/app.js, **src/app.js**, File: `src/app.js`, "Updated `src/app.js`:"),
+    // and skip everything else (chat prose, shell snippets). `detectedBy` says which recogniser matched.
+    parseLooseOutput(text) {
+        const lines = text.split(/\r?\n/);
+        const files = [];
+        for (let i = 0; i < lines.length; i++) {
+            const open = lines[i].match(/^\s{0,3}(`{3,}|~{3,})(.*)$/);
+            if (!open) continue;
+            const fence = open[1];
+            let k = i + 1;
+            while (k < lines.length && !this.isClosingFence(lines[k], fence)) k++;
+            const content = lines.slice(i + 1, k).join('\n');
+            // Diff blocks belong to Patch Mode, not to a file of that name
+            const isDiff = /^(diff|patch)\b/i.test(open[2].trim()) || this.isPatch(content);
+            const path = isDiff ? null : this.pathFromFenceInfo(open[2]);
+            const caption = path || isDiff ? null : this.pathFromCaption(lines, i);
+            if (path || caption) {
+                files.push({
+                    path: path || caption.path,
+                    content,
+                    detectedBy: path ? 'fence' : caption.detectedBy
+                });
+            }
+            i = k;
+        }
+        return files;
+    }
+
+    isClosingFence(line, fence) {
+        const trimmed = line.trim();
+        return trimmed.length >= fence.length && trimmed === fence[0].repeat(trimmed.length);
+    }
+
+    pathFromFenceInfo(info) {
+        const attr = info.match(/\b(?:title|file(?:name)?|path)\s*=\s*(?:"([^"]+)"|'([^']+)'|(\S+))/i);
+        if (attr) {
+            const value = (attr[1] || attr[2] || attr[3]).trim();
+            return this.looksLikePath(value) ? value : null;
+        }
+        const tokens = info.trim().split(/\s+/).filter(Boolean);
+        for (const token of tokens) {
+            // "js:src/app.js" or a bare path; a plain language tag has neither a dot nor a slash
+            const candidate = token.includes(':') ? token.slice(token.indexOf(':') + 1) : token;
+            if (/[./]/.test(candidate) && this.looksLikePath(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    // The closest non-blank line above the fence (at most two lines up) naming the file
+    pathFromCaption(lines, fenceIndex) {
+        let j = fenceIndex - 1;
+        while (j >= 0 && fenceIndex - j <= 3 && !lines[j].trim()) j--;
+        if (j < 0 || fenceIndex - j > 3) return null;
+        const line = lines[j].trim();
+        if (line.length > 300) return null;
+
+        const stripped = line
+            .replace(/^#{1,6}\s*/, '')
+            .replace(/^(?:[-*+]|\d+[.)])\s+/, '')
+            .replace(/[*_`]/g, '')
+            .replace(/^(?:file(?:name)?|path|文件名?|路径)\s*[:：]\s*/i, '')
+            .replace(/\s*[(（][^)）]*[)）]$/, '')
+            .replace(/\s*[:：]$/, '')
+            .trim();
+        if (this.looksLikePath(stripped)) return { path: stripped, detectedBy: line.startsWith('#') ? 'heading' : 'label' };
+
+        // Prose such as "Here is the updated `src/app.js`:", only when it names exactly one path
+        const quoted = (line.match(/`[^`\s]+`|\*\*[^*\s]+\*\*/g) || [])
+            .map(q => q.replace(/^[`*]+|[`*]+$/g, ''))
+            .filter(q => /[./]/.test(q) && this.looksLikePath(q));
+        return quoted.length === 1 ? { path: quoted[0], detectedBy: 'prose' } : null;
+    }
+
+    looksLikePath(text) {
+        if (!text || text.length > 260 || /\s|:\/\/|^[./]+$/.test(text) || text.endsWith('/')) return false;
+        if (!/^[\w@.\-+~$/\\[\]]+$/.test(text) || !/[A-Za-z]/.test(text)) return false;
+        const name = text.split(/[/\\]/).pop();
+        // Needs a directory or an extension, apart from the usual extensionless files
+        return text.includes('/') || /\.[A-Za-z0-9]{1,10}$/.test(name) ||
+            /^(Dockerfile|Makefile|Procfile|Gemfile|Rakefile|LICENSE|README)$/i.test(name);
+    }
+
+    // Plain / XML replies wrapped in one outer fence (as the prompt hint asks): keep what's inside,
+    // so the closing fence and any prose after it don't end up in the last file
+    unwrapReplyFence(text, markerRegex) {
+        const lines = text.split(/\r?\n/);
+        const first = lines.findIndex(line => markerRegex.test(line));
+        if (first === -1) return text;
+        // Fences before the first marker pair up, unless the last one is still open
+        const fences = lines.slice(0, first).map((line, j) => /^\s{0,3}(`{3,}|~{3,})/.test(line) ? j : -1).filter(j => j > -1);
+        const open = fences.length % 2 === 1 ? fences[fences.length - 1] : -1;
+        if (open === -1 || !/^\s{0,3}(`{3,}|~{3,})[\w+-]*\s*$/.test(lines[open])) return text;
+        const fence = lines[open].trim().match(/^(`{3,}|~{3,})/)[1];
+        let close = lines.length - 1;
+        while (close > first && !this.isClosingFence(lines[close], fence)) close--;
+        return close > first ? lines.slice(open + 1, close).join('\n') : text;
+    }
+
+    // A single file wrapped in its own fence inside a plain / XML marker. Markdown files may legitimately
+    // be one fenced block, so they are kept as they are.
+    unwrapFileFence(path, content) {
+        if (/\.(md|mdx|markdown)$/i.test(path)) return content;
+        const lines = content.split(/\r?\n/);
+        const open = lines[0] && lines[0].match(/^(`{3,}|~{3,})[\w+-]*\s*$/);
+        if (!open || lines.length < 2) return content;
+        const close = lines.findIndex((line, i) => i > 0 && this.isClosingFence(line, open[1]));
+        return close === lines.length - 1 ? lines.slice(1, -1).join('\n') : content;
+    }
+
+    // Security Optimization: Sanitize Paths (Fix 1.B: Safer Regex)
+    sanitizePath(path) {
+        const normalized = path.replace(/\\/g, '/').replace(/^[A-Za-z]:/, ''); // Drive letters count as absolute
+        // Security: normalize segment by segment, a ".." never climbs above the root
+        // (a plain text replace turned "../../x" into "/../x")
+        const segments = [];
+        normalized.split('/').forEach(part => {
+            if (part === '..') segments.pop();
+            else if (part && part !== '.') segments.push(part);
+        });
+        const cleanPath = segments.join('/');
+        return !cleanPath || normalized.endsWith('/') ? '' : cleanPath;
+    }
+
+    // --- MANIFEST ---
+    // Optional Flatten header listing every file with the facts the text formats lose: line count,
+    // SHA-256 of the text, line endings, final newline and the executable bit. Inflate uses it to put
+    // line endings and final newlines back, to confirm untouched files byte for byte, and to flag
+    // missing, truncated and added files. `marker` is the plain-format bar, long enough that no line
+    // in any file can pass for a file marker.
+    buildManifest(files) {
+        const longest = Math.max(0, ...files.map(f => Math.max(0, ...(f.content.match(/^[=-]+(?=\s*File:)/gm) || []).map(r => r.length))));
+        return {
+            marker: '='.repeat(Math.max(3, longest + 1)),
+            files: files.map(f => ({
+                path: f.path.replace(/\\/g, '/'),
+                lines: f.content ? f.content.split('\n').length - (f.content.endsWith('\n') ? 1 : 0) : 0,
+                sha256: this.sha256(f.content),
+                eol: this.detectLineEnding(f.content),
+                finalNewline: f.content.endsWith('\n'),
+                // Browsers don't expose file modes, a shebang is the best guess there
+                executable: f.executable !== undefined ? Boolean(f.executable) : f.content.startsWith('#!'),
+                // Hashed with redaction placeholders, see verifyAgainstManifest
+                ...(f.redacted ? { redacted: true } : {})
+            }))
+        };
+    }
+
+    detectLineEnding(content) {
+        const crlf = (content.match(/\r\n/g) || []).length;
+        const lf = (content.match(/\n/g) || []).length - crlf;
+        if (crlf === 0 && lf === 0) return 'none';
+        return crlf === 0 ? 'lf' : lf === 0 ? 'crlf' : 'mixed';
+    }
+
+    // One JSON object per line, so it survives inside any format's structure section
+    renderManifest(manifest) {
+        return `\nManifest (used by Inflate to restore files exactly, keep the file markers unchanged):\n` +
+            JSON.stringify({ manifest: 1, marker: manifest.marker }) + '\n' +
+            manifest.files.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    }
+
+    // The manifest of a pasted Flatten output (also inside a JSON export's tree), or null
+    extractManifest(text) {
+        const head = /^\{"manifest":1,[^\n]*\}$/m;
+        const treeOf = segment => {
+            try {
+                return JSON.parse(segment.trim().replace(/^```\w*\s*\n/, '').replace(/\n```\s*$/, '')).tree;
+            } catch (e) {
+                return null;
+            }
+        };
+        const source = head.test(text) ? text :
+            this.splitPartSegments(text).map(treeOf).find(tree => typeof tree === 'string' && head.test(tree));
+        if (!source) return null;
+        const lines = source.split(/\r?\n/);
+        const start = lines.findIndex(line => head.test(line));
+        try {
+            const { marker } = JSON.parse(lines[start]);
+            const files = [];
+            for (let i = start + 1; i < lines.length && lines[i].startsWith('{"path":'); i++) files.push(JSON.parse(lines[i]));
+            return { marker, files };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Paths may come back with or without the project folder in front
+    findManifestEntry(manifest, path) {
+        return manifest.files.find(e => e.path === path) ||
+            manifest.files.find(e => e.path.endsWith('/' + path) || path.endsWith('/' + e.path));
+    }
+
+    // Restore line endings / final newline and classify each parsed file:
+    // 'verified' (same bytes as flattened), 'modified', 'truncated' (elided or missing parts) or 'added'.
+    // Returns { files, missing } where missing lists manifest paths the text doesn't contain.
+    // `secrets` (placeholder -> value) turns restored values back into placeholders before a redacted file is hashed
+    verifyAgainstManifest(files, manifest, secrets = null) {
+        const seen = new Set();
+        const checked = files.map(f => {
+            const entry = this.findManifestEntry(manifest, f.path);
+            if (!entry) return { ...f, check: this.isTruncated(f.content) ? 'truncated' : 'added' };
+            seen.add(entry);
+            const content = this.restoreLineEndings(f.content, entry);
+            const hashed = entry.redacted && secrets ? this.reapplySecrets(content, secrets) : content;
+            let check = 'modified';
+            if (this.sha256(hashed) === entry.sha256) check = 'verified';
+            else if (f.incomplete || this.isTruncated(content)) check = 'truncated';
+            return { ...f, content, executable: entry.executable, check };
+        });
+        return { files: checked, missing: manifest.files.filter(e => !seen.has(e)).map(e => e.path) };
+    }
+
+    reapplySecrets(text, secrets) {
+        // Longest values first, so a secret containing another one is replaced whole
+        return Object.entries(secrets)
+            .sort((a, b) => b[1].length - a[1].length)
+            .reduce((result, [placeholder, value]) => result.split(value).join(placeholder), text);
+    }
+
+    restoreLineEndings(content, entry) {
+        let text = content.replace(/\r\n/g, '\n');
+        text = entry.finalNewline ? (text.endsWith('\n') ? text : text + '\n') : text.replace(/\n+$/, '');
+        return entry.eol === 'crlf' ? text.replace(/\n/g, '\r\n') : text;
+    }
+
+    // Models shorten long files with comments like "// ... rest of the file unchanged" or "# 其余代码保持不变"
+    isTruncated(content) {
+        const comment = /^\s*(?:\/\/|#|\/\*+|\*|<!--|--|;)\s*(.*)$/;
+        return content.split(/\r?\n/).some(line => {
+            const match = line.match(comment);
+            if (!match) return false;
+            const text = match[1].toLowerCase();
+            const ellipsis = /\.{3}|…/.test(text);
+            return (ellipsis && /\b(rest|remaining|existing|unchanged|omitted|same|previous|other)\b|省略|其余|其他|不变/.test(text)) ||
+                /\brest of (the )?(file|code|implementation|class|function|methods)\b|\b(remains?|stays?) unchanged\b|\bcode omitted\b|省略|保持不变|其余(代码|部分)/.test(text);
+        });
+    }
+
+    // Synchronous SHA-256 of the UTF-8 text, the same digest `sha256sum` prints for the file
+    sha256(text) {
+        const K = [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        const bytes = new TextEncoder().encode(text);
+        // Message + 0x80 + zero padding + 64-bit length, in whole 64-byte blocks
+        const length = Math.ceil((bytes.length + 9) / 64) * 64;
+        const data = new Uint8Array(length);
+        data.set(bytes);
+        data[bytes.length] = 0x80;
+        const view = new DataView(data.buffer);
+        view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+        view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+        const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const w = new Uint32Array(64);
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+        for (let offset = 0; offset < length; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+            let [a, b, c, d, e, f, g, hh] = h;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+                hh = g; g = f; f = e; e = (d + t1) >>> 0;
+                d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+            }
+            [a, b, c, d, e, f, g, hh].forEach((v, i) => { h[i] = (h[i] + v) >>> 0; });
+        }
+        return h.map(v => v.toString(16).padStart(8, '0')).join('');
+    }
+
+    // --- SYNTAX HIGHLIGHT ---
+    // Lines as [[type, text], ...] with type '' | 'comment' | 'string' | 'keyword' | 'number'. Block comments and
+    // multi-line strings carry over to the next line, so any slice of lines renders correctly on its own.
+    highlightLines(content, language) {
+        const syntax = this.commentSyntax(language) || { line: [], block: [], quotes: language === 'json' ? ['"'] : [] };
+        const keywords = this.highlightKeywords(language);
+        const multiline = [...(syntax.triple ? ['"""', "'''"] : []), ...(syntax.quotes.includes('`') ? ['`'] : [])];
+        let open = null; // { type, end } carried across lines
+        return content.split(/\r?\n/).map(line => {
+            const segments = [];
+            const push = (type, text) => {
+                if (!text) return;
+                const last = segments[segments.length - 1];
+                if (last && last[0] === type) last[1] += text;
+                else segments.push([type, text]);
+            };
+            let pos = 0;
+            while (pos < line.length) {
+                if (open) {
+                    const end = open.type === 'string' ? this.findStringEnd(line, pos, open.end) : line.indexOf(open.end, pos);
+                    const stop = end === -1 ? line.length : end + open.end.length;
+                    push(open.type, line.slice(pos, stop));
+                    if (end !== -1) open = null;
+                    pos = stop;
+                    continue;
+                }
+                const rest = line.slice(pos);
+                const lineComment = syntax.line.find(token => rest.startsWith(token) &&
+                    !(syntax.hashNeedsSpace && token === '#' && pos > 0 && !/\s/.test(line[pos - 1])));
+                if (lineComment) {
+                    push('comment', rest);
+                    break;
+                }
+                const block = syntax.block.find(([start]) => rest.startsWith(start));
+                const quote = block ? null : multiline.find(q => rest.startsWith(q)) || syntax.quotes.find(q => rest.startsWith(q));
+                if (block || quote) {
+                    const start = block ? block[0] : quote;
+                    push(block ? 'comment' : 'string', start);
+                    pos += start.length;
+                    open = { type: block ? 'comment' : 'string', end: block ? block[1] : quote };
+                    // Ordinary quotes end with the line even when unterminated
+                    if (quote && !multiline.includes(quote)) {
+                        const end = this.findStringEnd(line, pos, quote);
+                        const stop = end === -1 ? line.length : end + 1;
+                        push('string', line.slice(pos, stop));
+                        pos = stop;
+                        open = null;
+                    }
+                    continue;
+                }
+                const word = rest.match(/^[A-Za-z_$][\w$]*/);
+                if (word) {
+                    push(keywords.has(language === 'sql' ? word[0].toLowerCase() : word[0]) ? 'keyword' : '', word[0]);
+                    pos += word[0].length;
+                    continue;
+                }
+                const number = rest.match(/^\d[\w.]*/);
+                push(number ? 'number' : '', number ? number[0] : line[pos]);
+                pos += number ? number[0].length : 1;
+            }
+            return segments;
+        });
+    }
+
+    // Index of the closing quote from `pos`, skipping backslash escapes; -1 if the line has none
+    findStringEnd(line, pos, quote) {
+        for (let i = pos; i < line.length; i++) {
+            if (line[i] === '\\') i++;
+            else if (line.startsWith(quote, i)) return i;
+        }
+        return -1;
+    }
+
+    highlightKeywords(language) {
+        const families = {
+            javascript: 'javascript', jsx: 'javascript', typescript: 'javascript', tsx: 'javascript', vue: 'javascript', svelte: 'javascript',
+            python: 'python', go: 'go', bash: 'bash', sql: 'sql',
+            java: 'c', kotlin: 'c', swift: 'c', c: 'c', cpp: 'c', csharp: 'c', dart: 'c', php: 'c', rust: 'c'
+        };
+        const family = families[language];
+        return new Set(family ? this.config.HIGHLIGHT_KEYWORDS[family].split(' ') : []);
+    }
+
+    // --- LINE RANGES ---
+    // A file item may carry `ranges` ([{ start, end }], 1-based, inclusive): only those lines are flattened, each
+    // range as its own block named "path (lines 120-180)". Inflate splices returned blocks back into the full file.
+    parseLineRanges(text, lineCount) {
+        const ranges = text.split(/[,;\s]+/).filter(Boolean).map(part => {
+            const match = part.match(/^(\d+)(?:-(\d+))?$/);
+            if (!match) throw new Error(`Invalid line range: ${part}`);
+            const start = parseInt(match[1], 10);
+            const end = match[2] ? parseInt(match[2], 10) : start;
+            if (start < 1 || end < start || start > lineCount) throw new Error(`Line range outside the file (${lineCount} lines): ${part}`);
+            return { start, end: Math.min(end, lineCount) };
+        });
+        return this.normalizeLineRanges(ranges);
+    }
+
+    // Sorted, with overlapping and adjacent ranges merged
+    normalizeLineRanges(ranges) {
+        const merged = [];
+        ranges.slice().sort((a, b) => a.start - b.start).forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+            else merged.push({ ...range });
+        });
+        return merged;
+    }
+
+    formatLineRanges(ranges) {
+        return ranges.map(r => r.start === r.end ? `${r.start}` : `${r.start}-${r.end}`).join(', ');
+    }
+
+    // "path (lines 120-180)" -> { path, start, end }, null for any other path
+    parseRangePath(path) {
+        const match = path.match(/^(.*?)\s+\(lines (\d+)-(\d+)\)$/);
+        return match ? { path: match[1], start: parseInt(match[2], 10), end: parseInt(match[3], 10) } : null;
+    }
+
+    contentLines(content) {
+        const lines = content.split(/\r?\n/);
+        if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop(); // The final newline ends a line
+        return lines;
+    }
+
+    // One block per range; ranged files are flattened as they are, without content reduction
+    sliceFileRanges(files) {
+        return files.flatMap(f => {
+            if (!f.ranges || !f.ranges.length || f.oversize) return [f];
+            const lines = this.contentLines(f.content);
+            return f.ranges.filter(r => r.start <= lines.length).map(r => {
+                const end = Math.min(r.end, lines.length);
+                return { ...f, path: `${f.path} (lines ${r.start}-${end})`, content: lines.slice(r.start - 1, end).join('\n'), tokens: undefined, reduction: 'full', ranges: null };
+            });
+        });
+    }
+
+    // Token count of a file as it will be flattened: its ranges, or the file under the reduction options
+    effectiveTokens(file, reduce) {
+        if (!file.ranges || !file.ranges.length || file.oversize) return this.reduceFile(file, reduce).tokens;
+        return this.sliceFileRanges([file]).reduce((sum, block) => sum + this.estimateTokens(block.content), 0);
+    }
+
+    // Put returned "path (lines a-b)" blocks back into their full files. `readOriginal(path)` gives the current
+    // content (null if unknown). Ranges refer to the original numbering, so each file is spliced bottom-up.
+    // Returns { files, unresolved }: blocks whose file is missing are listed, not written as files.
+    spliceRangeBlocks(files, readOriginal) {
+        const groups = new Map();
+        const others = [];
+        files.forEach(f => {
+            const range = this.parseRangePath(f.path);
+            if (!range) return others.push(f);
+            if (!groups.has(range.path)) groups.set(range.path, []);
+            groups.get(range.path).push({ ...range, file: f });
+        });
+        const unresolved = [];
+        const spliced = [];
+        groups.forEach((blocks, path) => {
+            if (others.some(f => f.path === path)) return; // The whole file came back as well, it wins
+            const original = readOriginal(path);
+            if (original === null || original === undefined) return unresolved.push(...blocks.map(b => b.file.path));
+            const eol = this.detectLineEnding(original) === 'crlf' ? '\r\n' : '\n';
+            const finalNewline = /\n$/.test(original);
+            const lines = this.contentLines(original);
+            blocks.sort((a, b) => b.start - a.start).forEach(block => {
+                const replacement = this.contentLines(block.file.content.replace(/\r\n/g, '\n'));
+                lines.splice(block.start - 1, block.end - block.start + 1, ...(block.file.content === '' ? [] : replacement));
+            });
+            const checks = blocks.map(b => b.file.check);
+            const check = checks.includes('truncated') ? 'truncated' : checks.includes('added') ? 'added' :
+                checks.every(c => c === 'verified') ? 'verified' : undefined;
+            spliced.push({ ...blocks[0].file, path, content: lines.join(eol) + (finalNewline ? eol : ''), check, splicedRanges: blocks.length });
+        });
+        return { files: [...others, ...spliced], unresolved };
+    }
+
+    // Functions, classes and methods as [{ name, kind, start, end }] (1-based lines) for range selection.
+    // Brace languages end at the matching brace (braces in strings and comments don't count), Python at the
+    // first line indented no deeper than the declaration.
+    listSymbols(content, language) {
+        const patterns = this.symbolPatterns(language);
+        if (!patterns) return [];
+        const lines = this.contentLines(content);
+        const highlighted = language === 'python' ? null : this.highlightLines(content, language);
+        const symbols = [];
+        lines.forEach((line, i) => {
+            for (const [kind, regex] of patterns) {
+                const match = line.match(regex);
+                if (!match || this.highlightKeywords(language).has(match[1])) continue;
+                const end = highlighted ? this.findBlockEnd(highlighted, i) : this.findIndentEnd(lines, i);
+                symbols.push({ name: match[1], kind, start: i + 1, end: end + 1 });
+                break;
+            }
+        });
+        return symbols;
+    }
+
+    symbolPatterns(language) {
+        const js = [
+            ['class', /^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([\w$]+)/],
+            ['function', /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)/],
+            ['function', /^\s*(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|(?:\([^)]*\)|[\w$]+)\s*(?::[^=]+)?=>)/],
+            ['method', /^\s+(?:(?:public|private|protected|static|async|get|set|readonly|override)\s+)*\*?([\w$#]+)\s*(?:<[^>]*>)?\s*\([^)]*\)?\s*(?::[^{]+)?\{\s*$/]
+        ];
+        const cLike = [
+            ['class', /^\s*(?:(?:public|private|protected|internal|static|final|abstract|sealed|open|data|partial)\s+)*(?:class|interface|enum|record|struct|object)\s+(\w+)/],
+            ['function', /^\s*(?:(?:public|private|protected|internal|static|final|abstract|synchronized|override|virtual|async|inline|suspend)\s+)*(?!(?:return|new|else|throw|await|case)\b)(?:fun\s+|func\s+|[\w<>[\],.?*&:]+\s+)(\w+)\s*\([^;]*$/]
+        ];
+        switch (language) {
+            case 'javascript': case 'jsx': case 'typescript': case 'tsx': return js;
+            case 'python': return [['class', /^\s*class\s+(\w+)/], ['function', /^\s*(?:async\s+)?def\s+(\w+)/]];
+            case 'go': return [['function', /^func\s+(?:\([^)]*\)\s*)?(\w+)/], ['type', /^type\s+(\w+)\s+(?:struct|interface)\b/]];
+            case 'rust': return [['function', /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+(\w+)/], ['type', /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|impl)\s+(\w+)/]];
+            case 'java': case 'kotlin': case 'swift': case 'c': case 'cpp': case 'csharp': case 'dart': case 'php': return cLike;
+            default: return null;
+        }
+    }
+
+    // Line index of the brace closing the block opened on or after `start`; the declaration line itself when
+    // it has no body (e.g. an interface method ending in ";")
+    findBlockEnd(highlighted, start) {
+        let depth = 0, opened = false;
+        for (let i = start; i < highlighted.length; i++) {
+            for (const [type, text] of highlighted[i]) {
+                if (type) continue;
+                for (const ch of text) {
+                    if (ch === '{') { depth++; opened = true; }
+                    else if (ch === '}') depth--;
+                    else if (ch === ';' && !opened) return i;
+                    if (opened && depth === 0) return i;
+                }
+            }
+            if (!opened && i - start >= 5) return start;
+        }
+        return opened ? highlighted.length - 1 : start;
+    }
+
+    findIndentEnd(lines, start) {
+        const indent = line => line.match(/^\s*/)[0].length;
+        const base = indent(lines[start]);
+        let end = start;
+        for (let i = start + 1; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            if (indent(lines[i]) <= base) break;
+            end = i;
+        }
+        return end;
+    }
+
+    // --- LINE DIFF ---
+    // Myers O(ND) line diff. Returns ops { type: 'equal' | 'add' | 'del', line, oldNo, newNo }.
+    diffLines(oldText, newText) {
+        const a = oldText.replace(/\r\n/g, '\n').split('\n');
+        const b = newText.replace(/\r\n/g, '\n').split('\n');
+
+        // Common prefix/suffix are cheap to strip and keep the O(ND) part small
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length, endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+        const types = [
+            ...a.slice(0, start).map(line => ({ type: 'equal', line })),
+            ...this.myersDiff(a.slice(start, endA), b.slice(start, endB)),
+            ...a.slice(endA).map(line => ({ type: 'equal', line }))
+        ];
+        let oldNo = 0, newNo = 0;
+        return types.map(op => {
+            if (op.type !== 'add') oldNo++;
+            if (op.type !== 'del') newNo++;
+            return { ...op, oldNo: op.type === 'add' ? null : oldNo, newNo: op.type === 'del' ? null : newNo };
+        });
+    }
+
+    myersDiff(a, b, maxEdits = 2000) {
+        const n = a.length, m = b.length, max = n + m;
+        const replaceAll = () => [...a.map(line => ({ type: 'del', line })), ...b.map(line => ({ type: 'add', line }))];
+        if (n === 0 || m === 0) return replaceAll();
+
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 2);
+        const trace = [];
+        for (let d = 0; d <= Math.min(max, maxEdits); d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ?
+                    v[offset + k + 1] : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+                v[offset + k] = x;
+                if (x >= n && y >= m) return this.backtrackDiff(trace, a, b, offset);
+            }
+        }
+        // Stability: a near-total rewrite isn't worth the memory, show it as a full replacement
+        return replaceAll();
+    }
+
+    backtrackDiff(trace, a, b, offset) {
+        const ops = [];
+        let x = a.length, y = b.length;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const v = trace[d];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+            const prevX = v[offset + prevK];
+            const prevY = prevX - prevK;
+            while (x > prevX && y > prevY) {
+                ops.push({ type: 'equal', line: a[x - 1] });
+                x--; y--;
+            }
+            if (d > 0) {
+                if (x === prevX) ops.push({ type: 'add', line: b[y - 1] });
+                else ops.push({ type: 'del', line: a[x - 1] });
+            }
+            x = prevX;
+            y = prevY;
+        }
+        return ops.reverse();
+    }
+
+    // Group diff ops into unified hunks with `context` unchanged lines around each change
+    buildHunks(ops, context = 3) {
+        const hunks = [];
+        let current = null;
+        let lastChange = -Infinity;
+        ops.forEach((op, i) => {
+            if (op.type === 'equal') return;
+            if (current && i - lastChange <= context * 2 + 1) {
+                current.end = i;
+            } else {
+                current = { start: Math.max(0, i - context), end: i };
+                hunks.push(current);
+            }
+            lastChange = i;
+        });
+        return hunks.map(h => {
+            const lines = ops.slice(h.start, Math.min(ops.length, h.end + context + 1));
+            const oldLines = lines.filter(l => l.type !== 'add');
+            const newLines = lines.filter(l => l.type !== 'del');
+            return {
+                oldStart: oldLines.length ? oldLines[0].oldNo : 0, oldLines: oldLines.length,
+                newStart: newLines.length ? newLines[0].newNo : 0, newLines: newLines.length,
+                lines
+            };
+        });
+    }
+
+    // --- PATCH MODE ---
+    // Unified diffs (git or plain ---/+++ style) instead of whole files
+    isPatch(text) {
+        return /^@@ -\d+(?:,\d+)? \+\d+(?:,\d+)? @@/m.test(text) || /^diff --git /m.test(text);
+    }
+
+    // Returns [{ oldPath, newPath, isNew, isDeleted, isRename, hunks: [{ oldStart, oldLines, newStart, newLines, lines: [{ type, text }] }] }]
+    parsePatch(text) {
+        const lines = text.split(/\r?\n/);
+        const stripPrefix = p => p.replace(/\t.*$/, '').trim().replace(/^"(.*)"$/, '$1').replace(/^[ab]\//, '');
+        const patches = [];
+        let current = null;
+        let hunk = null;
+        const startFile = () => {
+            current = { oldPath: null, newPath: null, isNew: false, isDeleted: false, isRename: false, hunks: [] };
+            patches.push(current);
+            hunk = null;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const gitHeader = line.match(/^diff --git (\S+) (\S+)/);
+            if (gitHeader) {
+                startFile();
+                current.oldPath = stripPrefix(gitHeader[1]);
+                current.newPath = stripPrefix(gitHeader[2]);
+                continue;
+            }
+            // "--- " only opens a file header when "+++ " follows, otherwise it is a removed "-- " line
+            if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+                if (!current || current.hunks.length > 0) startFile();
+                const oldPath = line.slice(4).trim();
+                const newPath = lines[i + 1].slice(4).trim();
+                if (oldPath === '/dev/null') current.isNew = true;
+                else current.oldPath = stripPrefix(oldPath);
+                if (newPath === '/dev/null') current.isDeleted = true;
+                else current.newPath = stripPrefix(newPath);
+                hunk = null;
+                i++;
+                continue;
+            }
+            if (current && !hunk) {
+                if (/^new file mode/.test(line)) { current.isNew = true; continue; }
+                if (/^deleted file mode/.test(line)) { current.isDeleted = true; continue; }
+                const rename = line.match(/^rename (from|to) (.+)$/);
+                if (rename) {
+                    current.isRename = true;
+                    current[rename[1] === 'from' ? 'oldPath' : 'newPath'] = rename[2].trim();
+                    continue;
+                }
+            }
+            const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/) || (/^@@.*@@/.test(line) ? [] : null);
+            if (header) {
+                if (!current) startFile();
+                hunk = {
+                    oldStart: header[1] !== undefined ? parseInt(header[1], 10) : null,
+                    oldLines: header[2] !== undefined ? parseInt(header[2], 10) : 1,
+                    newStart: header[3] !== undefined ? parseInt(header[3], 10) : null,
+                    newLines: header[4] !== undefined ? parseInt(header[4], 10) : 1,
+                    lines: []
+                };
+                current.hunks.push(hunk);
+                continue;
+            }
+            if (!hunk) continue;
+            if (line.startsWith('\\')) continue; // "\ No newline at end of file"
+            // Chat UIs often strip the single space of empty context lines
+            if (line === '' || /^[ +-]/.test(line)) {
+                hunk.lines.push({ type: line === '' ? ' ' : line[0], text: line.slice(1) });
+            } else {
+                hunk = null;
+            }
+        }
+
+        patches.forEach(p => p.hunks.forEach(h => {
+            // Blank lines after the last hunk line are chat prose spacing, not context
+            while (h.lines.length && h.lines[h.lines.length - 1].type === ' ' && h.lines[h.lines.length - 1].text === '') h.lines.pop();
+        }));
+        return patches.filter(p => p.oldPath || p.newPath);
+    }
+
+    // Apply hunks with fuzzy matching: nearest position to the expected line, then whitespace-insensitive
+    // comparison, then up to 2 lines of context dropped on each side (like GNU patch --fuzz).
+    applyHunks(content, hunks) {
+        const eol = content.includes('\r\n') ? '\r\n' : '\n';
+        // New files start empty and, like git, end with a newline
+        const lines = content === '' ? [] : content.replace(/\r\n/g, '\n').split('\n');
+        const trailingNewline = content === '' || (lines.length > 1 && lines[lines.length - 1] === '');
+        if (content !== '' && trailingNewline) lines.pop();
+
+        let delta = 0;
+        let minPos = 0;
+        const failed = [];
+        hunks.forEach((hunk, i) => {
+            const oldBlock = hunk.lines.filter(l => l.type !== '+').map(l => l.text);
+            const newBlock = hunk.lines.filter(l => l.type !== '-').map(l => l.text);
+
+            if (oldBlock.length === 0) {
+                // Pure insertion: oldStart is the line after which the new lines go
+                const at = hunk.oldStart !== null ? hunk.oldStart + delta : minPos;
+                const index = Math.min(Math.max(at, minPos), lines.length);
+                lines.splice(index, 0, ...newBlock);
+                delta += newBlock.length;
+                minPos = index + newBlock.length;
+                return;
+            }
+
+            const expected = hunk.oldStart !== null ? hunk.oldStart - 1 + delta : minPos;
+            const found = this.locateHunk(lines, hunk, oldBlock, expected, minPos);
+            if (!found) {
+                failed.push(i);
+                return;
+            }
+            const { index, fuzzTop, fuzzBottom } = found;
+            const replacement = newBlock.slice(fuzzTop, newBlock.length - fuzzBottom);
+            lines.splice(index, oldBlock.length - fuzzTop - fuzzBottom, ...replacement);
+            if (hunk.oldStart !== null) delta = (index - fuzzTop) - (hunk.oldStart - 1) + (newBlock.length - oldBlock.length);
+            minPos = index + replacement.length;
+        });
+
+        if (trailingNewline) lines.push('');
+        return { content: lines.join('\n').replace(/\n/g, eol), failed };
+    }
+
+    locateHunk(lines, hunk, oldBlock, expected, minPos) {
+        const countContext = list => {
+            let n = 0;
+            while (n < list.length && list[n].type === ' ') n++;
+            return n;
+        };
+        const leading = countContext(hunk.lines);
+        const trailing = countContext([...hunk.lines].reverse());
+        const loose = s => s.trim().replace(/\s+/g, ' ');
+        const comparators = [(a, b) => a === b, (a, b) => loose(a) === loose(b)];
+
+        for (let fuzz = 0; fuzz <= 2; fuzz++) {
+            const fuzzTop = Math.min(fuzz, leading);
+            const fuzzBottom = Math.min(fuzz, trailing);
+            if (fuzz > 0 && fuzzTop === 0 && fuzzBottom === 0) break;
+            const block = oldBlock.slice(fuzzTop, oldBlock.length - fuzzBottom);
+            if (block.length === 0) break;
+            for (const equals of comparators) {
+                const matchesAt = p => block.every((line, j) => equals(lines[p + j], line));
+                const last = lines.length - block.length;
+                const start = Math.min(Math.max(expected + fuzzTop, minPos), Math.max(last, minPos));
+                // Search outwards from the expected position, never before the previous hunk
+                for (let dist = 0; start - dist >= minPos || start + dist <= last; dist++) {
+                    if (start + dist <= last && matchesAt(start + dist)) return { index: start + dist, fuzzTop, fuzzBottom };
+                    if (dist > 0 && start - dist >= minPos && start - dist <= last && matchesAt(start - dist)) return { index: start - dist, fuzzTop, fuzzBottom };
+                }
+            }
+        }
+        return null;
+    }
+
+    // --- PROMPT TEMPLATES ---
+    // Variables: {{tree}} (project structure and header), {{files}} (the file blocks), {{task}}, {{project}} and
+    // {{tokenCount}} (the flattened content). Unknown variables are left as they are. Without {{tree}} the tree stays
+    // in the output as usual; without {{files}} the output follows the template.
+    renderPromptTemplate(text, vars) {
+        return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => vars[name] !== undefined ? String(vars[name]) : match);
+    }
+
+    usesTemplateVariable(text, name) {
+        return new RegExp(`\\{\\{\\s*${name}\\s*\\}\\}`).test(text);
+    }
+
+    // { intro, outro }: the rendered template text before and after {{files}}
+    splitPromptTemplate(text, vars) {
+        const match = text.match(/\{\{\s*files\s*\}\}/);
+        if (!match) return { intro: this.renderPromptTemplate(text, vars).replace(/\s+$/, '') + '\n\n', outro: '' };
+        return {
+            intro: this.renderPromptTemplate(text.slice(0, match.index), vars),
+            outro: this.renderPromptTemplate(text.slice(match.index + match[0].length), vars)
+        };
+    }
+
+    // Tokens the template adds on top of the files (tree and file blocks are counted with the files)
+    promptTemplateCost({ text, task = '' }, projectName = '') {
+        return this.estimateTokens(this.renderPromptTemplate(text, { tree: '', files: '', task, project: projectName, tokenCount: '000000' }));
+    }
+
+    // --- CHUNKED EXPORT ---
+    // Split the selection into numbered parts that each fit maxTokens. Parts break on file boundaries;
+    // a file too big for one part is cut on line boundaries into "path (part i/n)" fragments.
+    splitIntoParts(files, format, projectName, maxTokens, { header = '', marker, tree, intro = '', outro = '' } = {}) {
+        const HEADER_RESERVE = 150;
+        const markerCost = path => this.estimateTokens(path) + 10;
+        const capacity = Math.max(maxTokens - HEADER_RESERVE, 1);
+
+        const units = [];
+        files.forEach(f => {
+            const path = f.path.replace(/\\/g, '/');
+            const tokens = f.tokens !== undefined ? f.tokens : this.estimateTokens(f.content);
+            if (tokens + markerCost(path) <= capacity) {
+                units.push({ path, content: f.content, tokens: tokens + markerCost(path) });
+                return;
+            }
+            const fragments = this.splitContentByTokens(f.content, capacity - markerCost(path + ' (part 00/00)'));
+            fragments.forEach((content, i) => {
+                const fragmentPath = `${path} (part ${i + 1}/${fragments.length})`;
+                units.push({ path: fragmentPath, content, tokens: this.estimateTokens(content) + markerCost(fragmentPath) });
+            });
+        });
+
+        // The full tree (or a prompt template's intro) only goes into Part 1, so reserve its size there
+        if (tree === undefined) tree = this.generateTree(files.map(f => f.path.replace(/\\/g, '/'))) + header;
+        const groups = [[]];
+        let used = this.estimateTokens((tree || '') + intro);
+        units.forEach(unit => {
+            if (used + unit.tokens > capacity && groups[groups.length - 1].length > 0) {
+                groups.push([]);
+                used = 0;
+            }
+            groups[groups.length - 1].push(unit);
+            used += unit.tokens;
+        });
+
+        const total = groups.length;
+        return groups.map((group, i) => {
+            const body = this.formatOutput(group, format, projectName, { tree: i === 0 ? tree : null, marker });
+            // Plain output ends in the last file's content plus one blank line: drop only the blank line, so the
+            // content keeps its own trailing whitespace
+            const trimmed = format === 'plain' ? body.replace(/\n\n$/, '') : body.replace(/\s+$/, '');
+            return this.partHeader(i + 1, total) + "\n\n" + (i === 0 ? intro : '') + trimmed +
+                (i === total - 1 ? outro : '') + "\n\n" + `[Code Flatten · End of Part ${i + 1}/${total}]\n`;
+        });
+    }
+
+    partHeader(index, total) {
+        const tag = `[Code Flatten · Part ${index}/${total}]`;
+        if (index < total) {
+            return `${tag} 以下是分段发送的项目内容（共 ${total} 部分）。在收到全部 ${total} 个部分之前，请只回复“已收到 Part ${index}/${total}”，不要开始分析或修改。`;
+        }
+        return `${tag} 这是最后一部分，全部 ${total} 个部分已发送完毕。请结合所有部分的内容开始处理。`;
+    }
+
+    // Cut content on line boundaries so that every fragment stays within maxTokens.
+    // A single line longer than the limit becomes its own (oversized) fragment.
+    splitContentByTokens(content, maxTokens) {
+        const fragments = [];
+        let current = [];
+        let used = 0;
+        content.split('\n').forEach(line => {
+            const cost = this.estimateTokens(line + '\n');
+            if (used + cost > maxTokens && current.length > 0) {
+                fragments.push(current.join('\n'));
+                current = [];
+                used = 0;
+            }
+            current.push(line);
+            used += cost;
+        });
+        fragments.push(current.join('\n'));
+        return fragments;
+    }
+
+    // Split concatenated parts on their header/footer lines; text without part markers is one segment
+    splitPartSegments(text) {
+        const partLine = /^\[Code Flatten\s*[·:\-]?\s*(?:End of )?Part \d+\/\d+\].*$/gm;
+        if (text.search(partLine) === -1) return [text];
+        return text.split(partLine).filter(segment => segment.trim());
+    }
+
+    // Reassemble "path (part i/n)" fragments in order; files missing fragments are flagged incomplete
+    mergeFileParts(files) {
+        const fragmentRegex = /^(.*?)\s+\(part (\d+)\/(\d+)\)$/;
+        const merged = [];
+        const byPath = {};
+        files.forEach(f => {
+            const m = f.path.match(fragmentRegex);
+            if (!m) {
+                merged.push(f);
+                return;
+            }
+            const [, path, index, total] = m;
+            if (!byPath[path]) {
+                byPath[path] = { path, content: '', fragments: {}, total: parseInt(total, 10) };
+                merged.push(byPath[path]);
+            }
+            byPath[path].fragments[parseInt(index, 10)] = f.content;
+        });
+        return merged.map(f => {
+            if (!f.fragments) return f;
+            const indexes = Object.keys(f.fragments).map(Number).sort((a, b) => a - b);
+            const file = { path: f.path, content: indexes.map(i => f.fragments[i]).join('\n') };
+            if (indexes.length !== f.total) file.incomplete = true;
+            return file;
+        });
+    }
+
+    createOutputFormats() {
+        const escapeAttr = s => s.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const unescapeAttr = s => s.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+        // Fences must be longer than any backtick run inside the content
+        const fenceFor = content => '`'.repeat(Math.max(3, ...(content.match(/`+/g) || []).map(r => r.length + 1)));
+        const trimBlock = s => s.replace(/^\s*[\r\n]/, '').replace(/[\r\n]\s*$/, '');
+        // Logic Fix: "(part i/n)" fragments are joined back line by line, so blank lines at a split point are
+        // content; strip only what render() added instead of trimming
+        const isFragment = path => /\s\(part \d+\/\d+\)$/.test(path);
+
+        return {
+            plain: {
+                label: 'Plain',
+                render: (files, tree, projectName, { marker = '===' } = {}) => (tree === null ? "" : "Project Structure:\n" + tree + "\n\n================================================\n\n") +
+                    files.map(f => `${marker} File: ${f.path} ${marker}\n${f.content}\n\n`).join(''),
+                detect: text => text.search(/(?:^|\n)[=-]{3,}\s*File:/),
+                marker: /^[=-]{3,}\s*File:/,
+                parse: (text, { exact = false, marker = null } = {}) => {
+                    // Exact mode: only the manifest's own bar counts, so "=== File:" lines inside files stay content
+                    const exactRegex = marker && new RegExp(`^${marker} File: (.*) ${marker}[ \\t]*\\r?\\n`, 'gm');
+                    // Stability Optimization: Looser Regex
+                    const looseRegex = /(?:^|\r?\n)[=-]{3,}\s*File:\s*(.*?)\s*[=-]{3,}(?:\r?\n|$)/g;
+                    const collect = regex => {
+                        const matches = [];
+                        let match;
+                        while ((match = regex.exec(text)) !== null) {
+                            matches.push({ path: match[1].trim(), startIndex: match.index, endIndex: match.index + match[0].length });
+                        }
+                        return matches;
+                    };
+                    let matches = exactRegex ? collect(exactRegex) : [];
+                    const literal = exact && matches.length > 0;
+                    if (!literal) matches = collect(looseRegex);
+                    return matches.map((current, i) => {
+                        // Determine end of content based on next match start
+                        const contentEnd = matches[i + 1] ? matches[i + 1].startIndex : text.length;
+                        const content = text.substring(current.endIndex, contentEnd);
+                        // render() puts exactly one blank line after every file; a loose match starts at the
+                        // newline before the next marker, so one of the two is already gone there
+                        if (literal || (isFragment(current.path) && !matches[i + 1])) {
+                            return { path: current.path, content: content.replace(/\r?\n\r?\n$/, '') };
+                        }
+                        return { path: current.path, content: isFragment(current.path) ? content.replace(/\r?\n$/, '') : trimBlock(content) };
+                    });
+                }
+            },
+            markdown: {
+                label: 'Markdown',
+                render: (files, tree) => (tree === null ? "" : "# Project Structure\n\n```\n" + tree + "```\n\n") +
+                    files.map(f => {
+                        const fence = fenceFor(f.content);
+                        return `## File: ${f.path}\n\n${fence}${this.getLanguage(f.path)}\n${f.content}\n${fence}\n\n`;
+                    }).join(''),
+                detect: text => text.search(/(?:^|\n)#{1,6}\s*File:/),
+                parse: text => {
+                    const lines = text.split(/\r?\n/);
+                    const files = [];
+                    for (let i = 0; i < lines.length; i++) {
+                        const heading = lines[i].match(/^#{1,6}\s*File:\s*`?(.+?)`?\s*$/);
+                        if (!heading) continue;
+                        // The fenced block must follow the heading, blank lines allowed
+                        let j = i + 1;
+                        while (j < lines.length && !lines[j].trim()) j++;
+                        const open = j < lines.length && lines[j].match(/^(`{3,}|~{3,})/);
+                        if (!open) continue;
+                        const fence = open[1];
+                        let k = j + 1;
+                        while (k < lines.length && !(lines[k].startsWith(fence) && lines[k].trim() === fence[0].repeat(lines[k].trim().length))) k++;
+                        files.push({ path: heading[1], content: lines.slice(j + 1, k).join('\n') });
+                        i = k;
+                    }
+                    return files;
+                }
+            },
+            xml: {
+                label: 'XML',
+                render: (files, tree, projectName) => `<project name="${escapeAttr(projectName)}">\n` +
+                    (tree === null ? "" : `<project_structure>\n${tree}</project_structure>\n\n`) +
+                    files.map(f => `<file path="${escapeAttr(f.path)}">\n${f.content}\n</file>\n\n`).join('') + "</project>\n",
+                detect: text => text.search(/<file\s+(?:path|name|filename)=/),
+                marker: /^\s*<(?:project\b|file\s+(?:path|name|filename)=)/,
+                parse: (text, { exact = false, paths = null } = {}) => {
+                    // Models sometimes rename the attribute, any of these names the file
+                    const openRegex = /<file\s+(?:path|name|filename)=(["'])(.*?)\1\s*>/g;
+                    const opens = [];
+                    let match;
+                    while ((match = openRegex.exec(text)) !== null) {
+                        // Exact mode: a tag naming a file that isn't in the manifest is part of some file's content
+                        if (exact && paths && !paths.has(unescapeAttr(match[2]).replace(/\s+\(part \d+\/\d+\)$/, ''))) continue;
+                        opens.push({ path: unescapeAttr(match[2]), startIndex: match.index, endIndex: match.index + match[0].length });
+                    }
+                    return opens.map((current, i) => {
+                        // Content runs to the last closing tag before the next file, so "</file>" inside a file survives
+                        const limit = opens[i + 1] ? opens[i + 1].startIndex : text.length;
+                        const segment = text.substring(current.endIndex, limit);
+                        const close = segment.lastIndexOf('</file>');
+                        const content = close > -1 ? segment.substring(0, close) : segment;
+                        // render() wraps the content in exactly one newline on each side
+                        const literal = exact || isFragment(current.path);
+                        return { path: current.path, content: literal ? content.replace(/^\r?\n/, '').replace(/\r?\n$/, '') : trimBlock(content) };
+                    });
+                }
+            },
+            json: {
+                label: 'JSON',
+                render: (files, tree, projectName) => JSON.stringify({
+                    project: projectName,
+                    tree: tree === null ? undefined : tree,
+                    files: files.map(f => ({ path: f.path, language: this.getLanguage(f.path), content: f.content }))
+                }, null, 2),
+                parse: text => {
+                    // Models often wrap JSON in a ```json fence
+                    const body = text.trim().replace(/^```\w*\s*\n/, '').replace(/\n```\s*$/, '');
+                    if (!body.startsWith('{')) return null;
+                    try {
+                        const data = JSON.parse(body);
+                        if (!data || !Array.isArray(data.files)) return null;
+                        return data.files
+                            .filter(f => f && typeof f.path === 'string' && typeof f.content === 'string')
+                            .map(f => ({ path: f.path, content: f.content }));
+                    } catch (e) {
+                        return null;
+                    }
+                }
+            }
+        };
+    }
+}
+
+// Node (CLI / library) entry; in the browser the class is a script global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProjectProcessor };
+}
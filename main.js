@@ -1,112 +1,51 @@
 /**
- * Architecture Refactor: Separating logic from view.
- * ProjectProcessor handles core logic (Filtering, Stats, parsing).
+ * View layer: DOM handlers and page state. Core logic lives in core.js (ProjectProcessor).
  */
-class ProjectProcessor {
-    constructor() {
-        // Refactoring A: Consolidated Configuration
-        this.config = {
-            REPO_README_URL: "./README.md",
-            IGNORE_DIRS: [
-                '.git', '.svn', '.hg', '.idea', '.vscode', '.settings',
-                'node_modules', 'bower_components', 'build', 'dist', 'out', 'target',
-                '__pycache__', '.venv', 'venv', 'env', '.pytest_cache',
-                '.dart_tool', '.pub-cache', 'bin', 'obj', '.gradle', 'vendor',
-                'tmp', 'temp', 'logs', 'coverage', '.next', '.nuxt',
-                'ios', 'android'
-            ],
-            IGNORE_EXTS: [
-                '.png', '.jpg', '.jpeg', '.gif', '.svg', '.ico', '.webp', '.mp4', '.mp3', '.wav',
-                '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx', '.zip', '.tar', '.gz', '.7z', '.rar',
-                '.exe', '.dll', '.so', '.dylib', '.class', '.jar', '.db', '.sqlite', '.sqlite3',
-                '.lock', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', '.DS_Store'
-            ],
-            // Stability Optimization: Max file size (1MB)
-            MAX_FILE_SIZE: 1024 * 1024 
-        };
-        this.gitIgnoreRules = [];
-    }
-
-    // Security Optimization: Improved .gitignore parsing (Fix 1.A)
-    parseGitIgnore(content) {
-        this.gitIgnoreRules = content.split('\n')
-            .map(line => line.trim())
-            .filter(line => line && !line.startsWith('#'))
-            .map(rule => {
-                // Determine if it's a directory rule based on trailing slash
-                // Logic Fix: Even without trailing slash, it might be a dir, but we mark explicit ones
-                const isDir = rule.endsWith('/');
-                const clean = rule.replace(/\/$/, '');
-                return { rule: clean, isDir }; 
-            });
-    }
-
-    shouldIgnore(path) {
-        path = path.replace(/\\/g, '/');
-        const parts = path.split('/');
-        const fileName = parts[parts.length - 1];
-        // 1. Hardcoded Checks
-        if (parts.some(p => this.config.IGNORE_DIRS.includes(p))) return true;
-        if (this.config.IGNORE_EXTS.some(ext => fileName.toLowerCase().endsWith(ext))) return true;
-
-        // 2. Advanced GitIgnore Logic (Critical Logic Fix)
-        if (this.gitIgnoreRules.length > 0) {
-            for (const { rule, isDir } of this.gitIgnoreRules) {
-                // If parts array contains the rule, treat it as a directory ignore (e.g. node_modules)
-                if (parts.includes(rule)) return true;
-                
-                // Fix 1: Multi-level path support (Optimization 1)
-                if (rule.includes('/')) {
-                    const normalizedRule = rule.startsWith('/') ? rule.slice(1) : rule;
-                    if (path === normalizedRule || 
-                        path.startsWith(normalizedRule + '/') || 
-                        path.includes('/' + normalizedRule + '/')) {
-                        return true;
-                    }
-                }
-
-                // File rule: Exact match or simple wildcard
-                if (fileName === rule) return true;
-                if (rule.startsWith('*') && fileName.endsWith(rule.slice(1))) return true;
-            }
-        }
-
-        return false;
-    }
-
-    // Optimization: Mixed Token Algorithm
-    estimateTokens(text) {
-        const chinese = (text.match(/[\u4e00-\u9fa5]/g) || []).length;
-        const other = text.length - chinese;
-        // Chinese ~1.5, English/Code ~0.25 (approx 4 chars/token)
-        return Math.ceil(chinese * 1.5 + other * 0.25);
-    }
-
-    generateTree(paths) {
-        let tree = {};
-        paths.forEach(path => {
-            path.replace(/\\/g, '/').split('/').reduce((r, k) => r[k] = r[k] || {}, tree);
-        });
-        const print = (node, prefix = "") => {
-            let keys = Object.keys(node);
-            return keys.map((key, i) => {
-                let last = i === keys.length - 1;
-                let str = prefix + (last ? "└── " : "├── ") + key + "\n";
-                if (Object.keys(node[key]).length) str += print(node[key], prefix + (last ? "    " : "│   "));
-                return str;
-            }).join('');
-        };
-        return Object.keys(tree).length ? (paths.length > 1 ? "Root/\n" : "") + print(tree) : "";
-    }
-}
-
 // --- GLOBAL STATE & DOM HANDLERS ---
 const PROCESSOR = new ProjectProcessor();
 const STATE = {
     globalFiles: [],
     finalOutput: "",
+    finalParts: [], // Chunked export: numbered parts for multi-message pasting
     currentProjectName: "code_press_context",
-    readmeLoaded: false
+    readmeLoaded: false,
+    // Token Budget (0 = unlimited) and the report of the last auto-fit
+    tokenBudget: 0,
+    lastAutoFit: [],
+    // Inflate preview: parsed files with their diff status, bound to the text they were parsed from
+    inflatePreview: null,
+    // Patch mode: hunks that could not be applied in the last run
+    patchFailures: [],
+    lastManifest: null, // Manifest of the latest flatten, for replies that don't carry one
+    manifestMissing: [],
+    // File System Access API: folder that Inflate writes into instead of downloading a zip
+    targetDirHandle: null,
+    // Scan / flatten job behind the loading overlay (cancellable)
+    activeJob: null,
+    // Scan summary of the last load: skipped files per category, and the category shown in detail
+    scanReport: null,
+    openScanCategory: null,
+    // Secret redaction: findings of the last flatten, whether they were replaced, and the
+    // placeholder -> value map used to restore them on Inflate (kept in memory only)
+    secretFindings: [],
+    secretsReplaced: true,
+    secretMap: {},
+    // Saved selection profiles ({ name, include, exclude }) and prompt templates ({ name, text }), mirrored from IndexedDB
+    profiles: [],
+    templates: [],
+    // Filter settings edited in the page (null = built-in defaults) and the .codeflatten.json of the loaded project
+    filterSettings: null,
+    projectConfig: null,
+    // File tree: folder paths the user collapsed, and the debounce timer of the filter box
+    collapsedFolders: new Set(),
+    treeFilterTimer: null,
+    // File viewer: what it shows ({ source, index, path, lines }), null when closed
+    viewer: null,
+    // Git: the dropped repository's .git folder (see createGitFs), the repo opened from it on first use,
+    // and the changes behind the last preset selection ({ base, changes }) that doFlatten reports
+    gitFs: null,
+    gitRepo: null,
+    gitChanges: null
 };
 // Removed global CONFIG, merged into PROCESSOR.config (Fix 2.A)
 
@@ -117,6 +56,13 @@ function getThemeColor(varName) {
 
 document.addEventListener('DOMContentLoaded', () => {
     setupDragAndDrop();
+    renderTokenizerSelect();
+    renderAutoFitRules();
+    renderSecretDetectors();
+    renderTargetFolder();
+    initSessions();
+    // A preview only describes the text it was built from
+    document.getElementById('pasteArea').addEventListener('input', clearInflatePreview);
 });
 
 // UI/UX Optimization: Drag & Drop Logic
@@ -134,59 +80,29 @@ function setupDragAndDrop() {
             zone.classList.remove('drag-active');
         });
     });
-    // Pack Zone Drop (Folder scanning)
-    packZone.addEventListener('drop', async (e) => {
+    // Pack Zone Drop (Folder scanning, archives are unpacked first)
+    packZone.addEventListener('drop', (e) => {
         e.preventDefault();
         packZone.classList.remove('drag-active');
         
         const items = e.dataTransfer.items;
         if (!items) return;
 
-        showLoading(true);
-        resetResultsArea();
-        
-        // Enforce minimum loading time to avoid flash (min 500ms)
-        const minWait = new Promise(resolve => setTimeout(resolve, 500));
-
-        try {
-            // Identify project name from first item (Refactoring 2.B: Removed redundant try-catch)
-            const entries = [];
-            for (let i = 0; i < items.length; i++) {
-                try {
-                    // Check capability first
-                    if (typeof items[i].webkitGetAsEntry === 'function') {
-                        const ent = items[i].webkitGetAsEntry();
-                        if(ent) entries.push(ent);
-                    } else if (items[i].kind === 'file') {
-                        // Fallback for non-webkit browsers if needed, though mostly using webkit logic here
-                        console.warn("webkitGetAsEntry not supported for item", i);
-                    }
-                } catch(e) { console.warn("Skipping item", e); }
-            }
-
-            if (entries.length > 0) {
-                STATE.currentProjectName = entries[0].name;
-            }
-
-            // Logic Fix: Scan files returns array, we replace STATE only after scan
-            STATE.globalFiles = [];
-            const scannedFiles = await scanFiles(entries);
-            
-            await minWait; // Ensure loading showed for at least 500ms
-
-            STATE.globalFiles = scannedFiles;
-            if (STATE.globalFiles.length === 0) {
-                showToast('未找到有效文件', 'error');
-            } else {
-                renderFileTree();
-                updateCapsuleStats();
-            }
-        } catch (error) {
-            console.error(error);
-            showToast('处理出错: ' + error.message, 'error');
-        } finally {
-            showLoading(false);
+        // Entries must be taken while the event is dispatched, the item list is emptied afterwards
+        const entries = [];
+        for (let i = 0; i < items.length; i++) {
+            try {
+                // Check capability first
+                if (typeof items[i].webkitGetAsEntry === 'function') {
+                    const ent = items[i].webkitGetAsEntry();
+                    if(ent) entries.push(ent);
+                } else if (items[i].kind === 'file') {
+                    // Fallback for non-webkit browsers if needed, though mostly using webkit logic here
+                    console.warn("webkitGetAsEntry not supported for item", i);
+                }
+            } catch(e) { console.warn("Skipping item", e); }
         }
+        packEntries(entries);
     });
 
     // Inflate Zone Drop (Txt file)
@@ -201,72 +117,352 @@ function setupDragAndDrop() {
     });
 }
 
-// Helper: Recursive File Scanner (Now Pure Function logic)
-async function scanFiles(entries, pathPrefix = "") {
-    let results = [];
+// Scan dropped entries (folders, files, archives) and load the result as the current project
+async function packEntries(entries) {
+    const job = beginJob();
+    
+    // Enforce minimum loading time to avoid flash (min 500ms)
+    const minWait = new Promise(resolve => setTimeout(resolve, 500));
+
+    try {
+        entries = await expandArchives(entries);
+        // Entries can't be sent to a worker: walk and filter here, read the files in the job
+        applyFilterSettings();
+        PROCESSOR.resetIgnoreRules();
+        const scan = await scanFiles(entries, "", job);
+        const result = await runJob(job, 'scan', { entries: scan.files, encoding: getSelectedEncoding(), reduce: getReductionOptions() });
+        
+        await minWait; // Ensure loading showed for at least 500ms
+
+        // Logic Fix: STATE is replaced only after a successful scan, a cancel keeps the old project
+        const projectConfig = { projectConfig: scan.projectConfig || null, projectConfigError: scan.projectConfigError || null };
+        applyScanResult({ ...result, ...projectConfig }, scan.files, entries.length > 0 ? entries[0].name : null, scan.skipped);
+    } catch (error) {
+        restoreProjectFilters();
+        handleJobError(error);
+    } finally {
+        endJob(job);
+    }
+}
+
+// --- ARCHIVES ---
+// A dropped .zip / .tar / .tar.gz becomes a directory entry that behaves like a dropped folder, so scanFiles
+// applies the same ignore rules, per-directory ignore files and project config, and skipped directories
+// can be re-included later. Members are only decompressed when the walk asks for them.
+async function expandArchives(entries) {
+    const expanded = [];
+    for (const entry of entries) {
+        if (!entry.isFile || !PROCESSOR.archiveType(entry.name)) {
+            expanded.push(entry);
+            continue;
+        }
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        expanded.push(await openArchive(file));
+    }
+    return expanded;
+}
+
+async function openArchive(file) {
+    let members; // [{ path, read: () => Promise<Uint8Array> }]
+    try {
+        if (PROCESSOR.archiveType(file.name) === 'zip') {
+            const zip = await JSZip.loadAsync(file);
+            members = Object.values(zip.files)
+                .filter(m => !m.dir && !PROCESSOR.isArchiveJunk(m.name))
+                .map(m => ({ path: m.name, read: () => m.async('uint8array') }));
+        } else {
+            const files = await PROCESSOR.readTarArchive(new Uint8Array(await file.arrayBuffer()));
+            members = files.map(f => ({ path: f.path, read: async () => f.data }));
+        }
+    } catch (err) {
+        throw new Error(`无法读取压缩包 ${file.name}: ${err.message}`);
+    }
+    return createArchiveRoot(file.name, members);
+}
+
+// Build FileSystemEntry look-alikes ({ isFile, isDirectory, name, file(), createReader() }) for the members.
+// Archives usually hold a single top folder, which then becomes the project folder; otherwise the
+// archive name (without extension) is used.
+function createArchiveRoot(archiveName, members) {
+    const makeDir = name => {
+        const dir = { name, isFile: false, isDirectory: true, children: new Map() };
+        dir.createReader = () => {
+            let done = false;
+            return {
+                readEntries: (resolve) => {
+                    resolve(done ? [] : Array.from(dir.children.values()));
+                    done = true;
+                }
+            };
+        };
+        return dir;
+    };
+    const makeFile = (name, read) => ({
+        name, isFile: true, isDirectory: false,
+        file: (resolve, reject) => read().then(data => resolve(new File([data], name))).catch(reject)
+    });
+
+    const top = makeDir(archiveName.replace(/\.(zip|tar|tar\.gz|tgz)$/i, ''));
+    members.forEach(member => {
+        const parts = member.path.replace(/\\/g, '/').split('/').filter(part => part && part !== '.' && part !== '..');
+        if (parts.length === 0) return;
+        let dir = top;
+        parts.slice(0, -1).forEach(part => {
+            if (!dir.children.has(part)) dir.children.set(part, makeDir(part));
+            dir = dir.children.get(part);
+        });
+        dir.children.set(parts[parts.length - 1], makeFile(parts[parts.length - 1], member.read));
+    });
+    const children = Array.from(top.children.values());
+    return children.length === 1 && children[0].isDirectory ? children[0] : top;
+}
+
+// Archive picker: the folder picker (fileInput) can't select single files
+document.getElementById('archiveInput').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!PROCESSOR.archiveType(file.name)) {
+        showToast('仅支持 .zip / .tar / .tar.gz 压缩包', 'error');
+        return;
+    }
+    // Same path as a drop: a plain File is wrapped as an entry
+    packEntries([{ name: file.name, isFile: true, isDirectory: false, file: (resolve) => resolve(file) }]);
+});
+
+// Helper: Recursive File Scanner, collects { file, path } for the files that pass the ignore rules.
+// Excluded entries go to `skipped` (an ignored directory is one item, its contents aren't walked).
+async function scanFiles(entries, pathPrefix = "", job = null, out = { files: [], skipped: [] }) {
+    // The project's .codeflatten.json comes before its ignore files (see loadProjectConfig)
+    const configEntry = pathPrefix && entries.find(entry => entry && entry.isFile && PROCESSOR.isProjectConfig(`${pathPrefix}/${entry.name}`));
+    if (configEntry) {
+        try {
+            const file = await new Promise((resolve, reject) => configEntry.file(resolve, reject));
+            out.projectConfig = PROCESSOR.loadProjectConfig(await readFileAsText(file), pathPrefix);
+        } catch (err) {
+            out.projectConfigError = err.message;
+        }
+    }
+
+    // Ignore files apply to their whole directory, so load them before any sibling is filtered
+    const ignoreEntries = entries
+        .filter(entry => entry && entry.isFile && PROCESSOR.isIgnoreFile(entry.name))
+        .sort((a, b) => PROCESSOR.config.IGNORE_FILES.indexOf(a.name) - PROCESSOR.config.IGNORE_FILES.indexOf(b.name));
+    for (const entry of ignoreEntries) {
+        try {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            PROCESSOR.parseGitIgnore(await readFileAsText(file), pathPrefix);
+        } catch (err) { console.warn(`Error reading ${entry.name}`, err); }
+    }
+
     for (const entry of entries) {
         if (!entry) continue;
+        if (job && job.cancelled) throw cancelledError();
         const fullPath = pathPrefix ? `${pathPrefix}/${entry.name}` : entry.name;
 
         if (entry.isFile) {
-            if (PROCESSOR.shouldIgnore(fullPath)) continue;
+            if (ignoreEntries.includes(entry) || entry === configEntry) continue; // Don't add ignore files to output
+            const reason = PROCESSOR.ignoreReason(fullPath);
+            if (reason) {
+                out.skipped.push({ path: fullPath, reason, entry });
+                continue;
+            }
             try {
                 // We need to get the File object from FileEntry
                 const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
-                // Logic Fix: processSingleFile returns object instead of side-effect
-                const processed = await processSingleFile(file, fullPath);
-                if (processed) results.push(processed);
-            } catch (err) { console.warn(`Error reading ${fullPath}`, err); }
+                out.files.push({ file, path: fullPath });
+                if (job) updateJobProgress({ found: out.files.length });
+            } catch (err) {
+                console.warn(`Error reading ${fullPath}`, err);
+                out.skipped.push({ path: fullPath, reason: 'failed', entry });
+            }
         } else if (entry.isDirectory) {
-            if (PROCESSOR.shouldIgnore(fullPath)) continue;
-            const dirReader = entry.createReader();
-            const childEntries = await new Promise((resolve, reject) => {
-                dirReader.readEntries(resolve, reject);
-            });
-            const childResults = await scanFiles(childEntries, fullPath);
-            results = results.concat(childResults);
+            const reason = PROCESSOR.ignoreReason(fullPath, true);
+            if (reason) {
+                out.skipped.push({ path: fullPath + '/', reason, entry });
+                continue;
+            }
+            const childEntries = await readAllEntries(entry.createReader());
+            await scanFiles(childEntries, fullPath, job, out);
         }
     }
-    return results;
+    return out;
 }
 
-async function processSingleFile(file, path) {
-    // Stability: OOM Protection for large files
-    if (file.size > PROCESSOR.config.MAX_FILE_SIZE) {
-        return { 
-            file, path, 
-            content: `// [WARN] File skipped: size (${(file.size/1024/1024).toFixed(2)}MB) exceeds limit.\n`, 
-            selected: true 
-        };
+// Logic Fix: Chromium returns at most 100 entries per readEntries call, read until an empty batch
+async function readAllEntries(dirReader) {
+    const all = [];
+    while (true) {
+        const batch = await new Promise((resolve, reject) => dirReader.readEntries(resolve, reject));
+        if (batch.length === 0) return all;
+        all.push(...batch);
+    }
+}
+
+// Turn a scan job result into file items; `entries` are the { file, path } pairs the job was given,
+// `skipped` the entries the directory walk excluded before the job
+function applyScanResult(result, entries, projectName, skipped = []) {
+    // Per-file token count is computed once in the scan, so selection changes only re-sum
+    STATE.globalFiles = result.files.map(f => toFileItem(f, entries));
+    if (projectName) STATE.currentProjectName = projectName;
+    applyProjectSettings(result.projectConfig || null);
+    if (result.projectConfigError) showToast(`${result.projectConfigError}，已忽略项目配置`, 'error');
+
+    const report = { default: [], gitignore: [], binary: [], oversize: [], failed: [] };
+    skipped.forEach(item => report[item.reason].push(item));
+    result.skipped.forEach(s => report[s.reason].push({ path: s.path, file: entries[s.index].file }));
+    result.failed.forEach(f => report.failed.push({ path: f.path, file: entries[f.index].file }));
+    result.files.filter(f => f.oversize).forEach(f => report.oversize.push({ path: f.path, file: entries[f.index].file }));
+    report.failed.forEach(item => console.warn(`Skipped binary or error: ${item.path}`));
+    STATE.scanReport = report;
+    STATE.openScanCategory = null;
+    detectGitRepo(report);
+
+    resetResultsArea();
+    renderFileTree();
+    updateCapsuleStats();
+    renderScanSummary();
+    if (STATE.globalFiles.length === 0) showToast('未找到有效代码文件 (全部被过滤)', 'error');
+}
+
+// --- SCAN SUMMARY ---
+const SCAN_CATEGORIES = [
+    { id: 'default', label: '默认忽略', title: 'IGNORE_DIRS / IGNORE_EXTS' },
+    { id: 'gitignore', label: 'gitignore', title: '.gitignore / .ignore / .codeflattenignore' },
+    { id: 'binary', label: '二进制', title: '内容检测为二进制（NUL 字节 / 无法解码）' },
+    { id: 'oversize', label: '超过大小上限', title: '超过 MAX_FILE_SIZE，仅保留占位说明' },
+    { id: 'failed', label: '读取失败', title: '无法读取的文件' }
+];
+// Detail lists stay short, "include all" still covers the whole category
+const SCAN_DETAIL_LIMIT = 200;
+
+function renderScanSummary() {
+    const panel = document.getElementById('scanSummary');
+    const report = STATE.scanReport;
+    if (!report) {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+        return;
     }
+    const chips = SCAN_CATEGORIES.map(cat => `
+        <button class="scan-chip${STATE.openScanCategory === cat.id ? ' active' : ''}" title="${cat.title}"
+            onclick="toggleScanCategory('${cat.id}')" ${report[cat.id].length === 0 ? 'disabled' : ''}>
+            ${cat.label} <b>${report[cat.id].length}</b>
+        </button>`).join('');
+
+    let detail = '';
+    const open = STATE.openScanCategory;
+    if (open && report[open].length > 0) {
+        const items = report[open];
+        detail = `
+            <div class="scan-detail">
+                <div class="report-title">
+                    <span>${SCAN_CATEGORIES.find(cat => cat.id === open).label} · ${items.length} 项</span>
+                    <button class="tool-btn" onclick="reincludeScanItems('${open}')">↩️ 全部包含<span class="btn-suffix">include all</span></button>
+                </div>
+                ${items.slice(0, SCAN_DETAIL_LIMIT).map((item, i) => `
+                    <div class="report-row">
+                        <span>${escapeHtml(item.path)}</span>
+                        <button class="tool-btn" onclick="reincludeScanItems('${open}', [${i}])">包含<span class="btn-suffix">include</span></button>
+                    </div>`).join('')}
+                ${items.length > SCAN_DETAIL_LIMIT ? `<div class="report-row"><span>… 另有 ${items.length - SCAN_DETAIL_LIMIT} 项</span></div>` : ''}
+            </div>`;
+    }
+    panel.innerHTML = `
+        <div class="scan-chips">
+            <span class="scan-chip included">已包含 <b>${STATE.globalFiles.length}</b></span>
+            ${chips}
+        </div>
+        ${detail}`;
+    panel.classList.remove('hidden');
+}
 
-    // Security: Check for .gitignore in root
-    // Logic Fix: Use "/" detection or simple logic, parse but return null
-    if (file.name === '.gitignore') {
-        const text = await readFileAsText(file);
-        PROCESSOR.parseGitIgnore(text);
-        return null; // Don't add .gitignore to output
+function toggleScanCategory(category) {
+    STATE.openScanCategory = STATE.openScanCategory === category ? null : category;
+    renderScanSummary();
+}
+
+// Expand a skipped item into { file, path } pairs; an ignored directory brings its whole subtree
+async function collectSkippedFiles(item) {
+    if (item.file) return [{ file: item.file, path: item.path }];
+    if (item.entry.isFile) {
+        const file = await new Promise((resolve, reject) => item.entry.file(resolve, reject));
+        return [{ file, path: item.path }];
     }
+    const files = [];
+    const walk = async (dirEntry, dirPath) => {
+        for (const child of await readAllEntries(dirEntry.createReader())) {
+            const childPath = `${dirPath}/${child.name}`;
+            if (child.isDirectory) await walk(child, childPath);
+            else files.push({ file: await new Promise((resolve, reject) => child.file(resolve, reject)), path: childPath });
+        }
+    };
+    await walk(item.entry, item.path.replace(/\/$/, ''));
+    return files;
+}
 
+// Re-include skipped files (all of a category when no indices are given) and merge them into the tree
+async function reincludeScanItems(category, indices = null) {
+    const report = STATE.scanReport;
+    const picked = indices ? indices.map(i => report[category][i]) : report[category].slice();
+    const job = beginJob();
     try {
-        const text = await readFileAsText(file);
-        // Logic Fix: Return the object
-        return { file, path, content: text, selected: true };
-    } catch (err) { 
-        console.warn(`Skipped binary or error: ${path}`);
-        return null;
+        const entries = [];
+        for (const item of picked) entries.push(...await collectSkippedFiles(item));
+        const result = await runJob(job, 'scan', {
+            entries, encoding: getSelectedEncoding(), reduce: getReductionOptions(),
+            // Re-including an oversize file means reading it in full, a binary one reading it anyway
+            maxSize: category === 'oversize' ? Infinity : PROCESSOR.config.MAX_FILE_SIZE,
+            allowBinary: category === 'binary'
+        });
+
+        report[category] = report[category].filter(item => !picked.includes(item));
+        result.files.forEach(f => {
+            const item = toFileItem(f, entries);
+            const existIndex = STATE.globalFiles.findIndex(existing => existing.path === f.path);
+            if (existIndex > -1) STATE.globalFiles[existIndex] = item;
+            else STATE.globalFiles.push(item);
+            if (f.oversize) report.oversize.push({ path: f.path, file: item.file });
+        });
+        result.skipped.forEach(s => report[s.reason].push({ path: s.path, file: entries[s.index].file }));
+        result.failed.forEach(f => report.failed.push({ path: f.path, file: entries[f.index].file }));
+
+        resetResultsArea();
+        renderFileTree();
+        updateCapsuleStats();
+        renderScanSummary();
+        showToast(`已重新包含 ${result.files.length} 个文件`, 'success');
+    } catch (error) {
+        handleJobError(error);
+    } finally {
+        endJob(job);
     }
 }
 
 // Optimization 2.A: Support Encoding Selection
-function readFileAsText(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = (e) => resolve(e.target.result);
-        reader.onerror = reject;
-        const encoding = document.getElementById('encodingSelect') ? document.getElementById('encodingSelect').value : 'UTF-8';
-        reader.readAsText(file, encoding);
-    });
+// 'auto' detects the encoding per file; a fixed choice applies to every file of the next load
+function getSelectedEncoding() {
+    const select = document.getElementById('encodingSelect');
+    return select ? select.value : 'auto';
+}
+
+async function readFileAsText(file, encoding = getSelectedEncoding()) {
+    return (await PROCESSOR.decodeFile(file, encoding)).content;
+}
+
+// File item from a scan job result; `entries` are the { file, path } pairs the job was given
+// `tokens` is the effective count after content reduction, `fullTokens` the file as read
+function toFileItem(result, entries) {
+    return {
+        file: entries[result.index].file, path: result.path, content: result.content,
+        tokens: result.tokens, fullTokens: result.fullTokens, oversize: result.oversize,
+        encoding: result.encoding, reduction: 'default', selected: true
+    };
+}
+
+// Plain data sent to the flatten / reduce jobs, without the File object
+function toJobFile(item) {
+    return { path: item.path, content: item.content, tokens: item.fullTokens, oversize: item.oversize, reduction: item.reduction, ranges: item.ranges };
 }
 
 // UI/UX Optimization: Loading Overlay
@@ -274,29 +470,137 @@ function showLoading(show) {
     const overlay = document.getElementById('loadingOverlay');
     if (show) overlay.classList.remove('hidden');
     else overlay.classList.add('hidden');
+    document.getElementById('loadingProgress').innerText = '';
+}
+
+// --- BACKGROUND JOBS ---
+// Scanning and flattening run in worker.js so the page stays responsive on large projects.
+// `undefined` = not created yet, `null` = unavailable (e.g. opened via file://), jobs then run inline.
+const JOB_RUNNER = { worker: undefined, nextId: 1 };
+
+function getJobWorker() {
+    if (JOB_RUNNER.worker === undefined) {
+        try {
+            JOB_RUNNER.worker = typeof Worker === 'function' ? new Worker('worker.js') : null;
+        } catch (e) {
+            console.warn('Web Worker unavailable, running on the main thread', e);
+            JOB_RUNNER.worker = null;
+        }
+    }
+    return JOB_RUNNER.worker;
+}
+
+function beginJob() {
+    const job = { id: JOB_RUNNER.nextId++, cancelled: false, found: 0, reject: null, usesWorker: false };
+    STATE.activeJob = job;
+    showLoading(true);
+    return job;
+}
+
+function endJob(job) {
+    if (STATE.activeJob !== job) return;
+    STATE.activeJob = null;
+    showLoading(false);
+}
+
+function cancelledError() {
+    const error = new Error('cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+function cancelActiveJob() {
+    const job = STATE.activeJob;
+    if (!job) return;
+    job.cancelled = true;
+    // A busy worker can only be stopped by terminating it; the next job starts a fresh one
+    if (job.usesWorker && JOB_RUNNER.worker) {
+        JOB_RUNNER.worker.terminate();
+        JOB_RUNNER.worker = undefined;
+    }
+    if (job.reject) job.reject(cancelledError());
 }
 
-function doFlatten() {
+function handleJobError(error) {
+    if (error.cancelled) {
+        showToast('已取消，保留之前的内容');
+        return;
+    }
+    console.error(error);
+    showToast('处理出错: ' + error.message, 'error');
+}
+
+function updateJobProgress({ found, scanned, total, bytes }) {
+    const label = document.getElementById('loadingProgress');
+    if (found !== undefined) label.innerText = `已发现 ${found} 个文件`;
+    else if (total) label.innerText = `已读取 ${scanned} / ${total} 个文件 · ${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function runJob(job, type, payload) {
+    if (job.cancelled) return Promise.reject(cancelledError());
+    return new Promise((resolve, reject) => {
+        job.reject = reject;
+        const runInline = () => {
+            job.usesWorker = false;
+            PROCESSOR.runJob(type, payload, { onProgress: updateJobProgress, isCancelled: () => job.cancelled })
+                .then(resolve, reject);
+        };
+        const worker = getJobWorker();
+        if (!worker) return runInline();
+
+        job.usesWorker = true;
+        worker.onmessage = (e) => {
+            const msg = e.data;
+            if (msg.id !== job.id) return;
+            if (msg.type === 'progress') updateJobProgress(msg.progress);
+            else if (msg.type === 'done') resolve(msg.result);
+            else reject(new Error(msg.message));
+        };
+        worker.onerror = (e) => {
+            // worker.js failed to load: remember that and redo the job on the main thread
+            e.preventDefault();
+            worker.terminate();
+            JOB_RUNNER.worker = null;
+            runInline();
+        };
+        worker.postMessage({ id: job.id, type, payload, config: PROCESSOR.config });
+    });
+}
+
+async function doFlatten() {
     const activeFiles = STATE.globalFiles.filter(f => f.selected);
     if (activeFiles.length === 0) {
         showToast('请至少选择一个文件', 'error');
         return;
     }
 
-    showLoading(true);
+    const job = beginJob();
     // UI/UX: Force minimum load time to avoid flash
     const minWait = new Promise(r => setTimeout(r, 500));
-    // Defer processing to next tick to allow UI update
-    setTimeout(async () => {
-        const paths = activeFiles.map(f => f.path);
-        let result = "Project Structure:\n" + PROCESSOR.generateTree(paths) + "\n\n================================================\n\n";
-        
-        activeFiles.forEach(f => {
-            const cleanPath = f.path.replace(/\\/g, '/');
-            result += `=== File: ${cleanPath} ===\n${f.content}\n\n`;
+    try {
+        const redact = getRedactOptions();
+        if (!redact) return;
+        const result = await runJob(job, 'flatten', {
+            files: activeFiles.map(toJobFile), format: getOutputFormat(), projectName: STATE.currentProjectName,
+            partSize: getPartSize(), redact, reduce: getReductionOptions(),
+            dependencies: document.getElementById('depSummaryCheck').checked,
+            manifest: document.getElementById('manifestCheck').checked,
+            git: getGitOptions(activeFiles),
+            template: getPromptTemplate()
         });
-        
-        STATE.finalOutput = result;
+        await minWait; // Wait for minimum time
+
+        STATE.secretFindings = result.findings;
+        STATE.secretsReplaced = redact.replace;
+        // Only the latest output's placeholders are valid, a new flatten may number them differently
+        STATE.secretMap = result.secrets;
+        renderSecretReport();
+        STATE.lastManifest = result.manifest;
+
+        // A selection that fits into a single part is exported as usual, without part headers
+        STATE.finalParts = result.parts;
+        STATE.finalOutput = result.output;
+        renderPartsBar();
         
         const previewArea = document.getElementById('previewArea');
         // Stability: Limit preview size
@@ -304,12 +608,20 @@ function doFlatten() {
             STATE.finalOutput.substring(0, 3000) + "\n... (内容过长，仅显示预览)" : STATE.finalOutput;
         
         previewArea.innerText = previewText;
-
-        await minWait; // Wait for minimum time
         
-        showToast(`已成功压扁 ${activeFiles.length} 个文件`, 'success');
-        showLoading(false);
-    }, 50);
+        showToast(STATE.finalParts.length > 0 ?
+            `已成功压扁 ${activeFiles.length} 个文件，分为 ${STATE.finalParts.length} 部分` :
+            `已成功压扁 ${activeFiles.length} 个文件`, 'success');
+        if (result.findings.length > 0) {
+            showToast(redact.replace ?
+                `已将 ${result.findings.length} 处敏感信息替换为占位符` :
+                `检测到 ${result.findings.length} 处敏感信息，未脱敏！`, redact.replace ? 'normal' : 'error');
+        }
+    } catch (error) {
+        handleJobError(error);
+    } finally {
+        endJob(job);
+    }
 }
 
 async function inflateToZip() {
@@ -322,63 +634,71 @@ async function inflateToZip() {
     const btn = document.querySelector('#inflateSection .large-btn');
     const originalText = btn.innerHTML;
     btn.innerHTML = '<span class="status-icon">⏳</span> 正在熔铸...';
-    // Stability Optimization: Looser Regex
-    const markerRegex = /(?:^|\r?\n)[=-]{3,}\s*File:\s*(.*?)\s*[=-]{3,}(?:\r?\n|$)/g;
     const zip = new JSZip();
     let fileCount = 0;
-    
-    let match;
-    let matches = [];
-    while ((match = markerRegex.exec(content)) !== null) {
-        matches.push({
-            path: match[1].trim(),
-            startIndex: match.index,
-            endIndex: match.index + match[0].length
-        });
+
+    // A reviewed preview of the same text decides which files go in; otherwise take everything
+    let entries;
+    if (STATE.inflatePreview && STATE.inflatePreview.source === content) {
+        entries = STATE.inflatePreview.files.filter(f => f.accepted);
+        if (entries.length === 0) {
+            showToast("没有勾选任何文件", "error");
+            btn.innerHTML = originalText;
+            return;
+        }
+    } else {
+        entries = parseInflateContent(content);
+        if (!entries) {
+            btn.innerHTML = originalText;
+            return;
+        }
+        // Paths guessed from headings or prose get a look before anything is written
+        if (entries.some(e => e.detectedBy)) {
+            btn.innerHTML = originalText;
+            showInflatePreview(content, entries);
+            showToast("未找到标准文件标记，已按宽松模式识别，请在变更预览中核对路径后再次点击", "error");
+            return;
+        }
+        // Logic Fix: never zip a file the model cut short, let the user decide in the preview
+        const truncated = entries.filter(e => e.check === 'truncated');
+        if (truncated.length > 0) {
+            btn.innerHTML = originalText;
+            showInflatePreview(content, entries);
+            showToast(`${truncated.length} 个文件疑似被截断（已取消勾选），请在变更预览中确认: ${truncated.map(e => e.path).join(', ')}`, "error");
+            return;
+        }
     }
 
-    if (matches.length === 0) {
-        alert("未找到有效的文件标记！\n格式应为：=== File: path/to/file.ext ===");
-        btn.innerHTML = originalText;
+    // Linked folder: write straight into the project instead of building a zip
+    if (STATE.targetDirHandle) {
+        try {
+            await writeEntriesToFolder(entries.filter(e => !e.deleted));
+        } finally {
+            btn.innerHTML = originalText;
+        }
         return;
     }
 
     let extractedName = "code_restored";
-    if (matches.length > 0) {
-        const firstPath = matches[0].path.replace(/\\/g, '/');
-        const parts = firstPath.split('/');
+    if (entries.length > 0) {
+        const parts = entries[0].path.split('/');
         if (parts.length > 1) extractedName = parts[0];
     }
     const now = new Date();
     const timeStr = generateTimeStr(now);
     const zipFileName = `${extractedName}_${timeStr}.zip`;
 
-    for (let i = 0; i < matches.length; i++) {
-        const current = matches[i];
-        const next = matches[i + 1];
-        const contentStart = current.endIndex;
-        // Determine end of content based on next match start
-        const contentEnd = next ? next.startIndex : content.length;
-        
-        let rawContent = content.substring(contentStart, contentEnd);
-        
-        // Security Optimization: Sanitize Paths (Fix 1.B: Safer Regex)
-        let cleanPath = current.path
-            .replace(/\\/g, '/')
-            .replace(/^(\.\/|\/)+/, '') // Remove leading ./ or /
-            .replace(/(^|[\/\\])\.\.([\/\\]|$)/g, '$1$2');
-        // Smart remove .. to prevent traversal
-
-        if (!cleanPath || cleanPath.endsWith('/')) continue;
-        // Trim leading newline from the extraction if present
-        rawContent = rawContent.replace(/^\s*[\r\n]/, '').replace(/[\r\n]\s*$/, '');
-        zip.file(cleanPath, rawContent);
+    for (const current of entries) {
+        if (current.deleted) continue; // A zip can't express deletions, they are listed in the preview
+        zip.file(current.path, current.content, current.executable ? { unixPermissions: 0o755 } : {});
         fileCount++;
     }
 
     if (fileCount > 0) {
         try {
-            const blob = await zip.generateAsync({type:"blob"});
+            // File modes are only stored for UNIX-platform archives
+            const platform = entries.some(e => e.executable) ? 'UNIX' : 'DOS';
+            const blob = await zip.generateAsync({type:"blob", platform});
             saveAs(blob, zipFileName);
             showToast(`成功还原 ${fileCount} 个文件`, "success");
         } catch (e) {
@@ -392,138 +712,748 @@ async function inflateToZip() {
     btn.innerHTML = originalText;
 }
 
-function switchTab(tab) {
-    document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-    document.querySelectorAll('.section-content').forEach(s => s.classList.remove('active'));
-    
-    const btns = document.querySelectorAll('.tab-btn');
-    if(tab === 'pack') {
-        btns[0].classList.add('active');
-        document.getElementById('packSection').classList.add('active');
-    } else {
-        btns[1].classList.add('active');
-        document.getElementById('inflateSection').classList.add('active');
+// Auto-detect Plain / Markdown / XML / JSON output (multi-part exports are stitched back together).
+// Returns sanitized { path, content } entries, or null after telling the user nothing was found.
+function parseInflateContent(content) {
+    // Redaction placeholders coming back are swapped for the original values before anything is parsed,
+    // so patch context lines match the loaded files again
+    if (document.getElementById('restoreSecretsCheck').checked) {
+        const { text, restored } = PROCESSOR.restoreSecrets(content, STATE.secretMap);
+        if (restored > 0) showToast(`已还原 ${restored} 处脱敏占位符`);
+        content = text;
+    }
+    let { files: matches, manifest } = PROCESSOR.parseOutput(content);
+    STATE.patchFailures = [];
+    STATE.manifestMissing = [];
+    // Patch Mode: no whole-file markers but unified diff hunks
+    if (matches.length === 0 && PROCESSOR.isPatch(content)) return applyPatchContent(content);
+
+    const incomplete = matches.filter(m => m.incomplete).map(m => m.path);
+    if (incomplete.length > 0) {
+        showToast(`以下文件缺少分段，内容不完整: ${incomplete.join(', ')}`, "error");
     }
-}
-
-// Native File Input Handler (Legacy support + Extra files)
-document.getElementById('fileInput').addEventListener('change', async (e) => {
-    const files = Array.from(e.target.files);
-    if (files.length === 0) return;
 
-    showLoading(true);
-    resetResultsArea(); 
-    
-    // UI/UX: Min wait time
-    const minWait = new Promise(r => setTimeout(r, 500));
-    
-    STATE.globalFiles = [];
+    // Reduced views (outline, stripped comments) coming back would overwrite the real files
+    const reduced = matches.filter(m => PROCESSOR.isReducedView(m.content));
+    if (reduced.length > 0) {
+        showToast(`已跳过 ${reduced.length} 个精简视图文件: ${reduced.map(m => m.path).join(', ')}`, "error");
+        matches = matches.filter(m => !reduced.includes(m));
+        if (matches.length === 0) return null;
+    }
 
-    if (files.length > 0) {
-        const firstPath = files[0].webkitRelativePath;
-        if (firstPath) {
-             STATE.currentProjectName = firstPath.split('/')[0];
+    // The manifest comes with the text when Flatten output is pasted back, otherwise from the latest flatten here.
+    // Logic Fix: that fallback only applies to a reply about the same files (at least half of them listed),
+    // a reply about another project would be labelled against an unrelated manifest
+    if (!manifest && STATE.lastManifest && matches.length > 0) {
+        const known = matches.filter(m => PROCESSOR.findManifestEntry(STATE.lastManifest, m.path)).length;
+        if (known > 0 && known * 2 >= matches.length) {
+            manifest = STATE.lastManifest;
+            showToast(`回复中没有文件清单，已按本页最近一次压扁的清单校验（${known} / ${matches.length} 个文件在清单中）`);
         }
     }
-
-    // Pre-scan for .gitignore using simple find (since we can't easily structure native files yet)
-    // Fix: Improve logic to find root .gitignore
-    const gitIgnoreFile = files.find(f => f.name === '.gitignore' && (f.webkitRelativePath.split('/').length === 2));
-    if (gitIgnoreFile) {
-        const text = await readFileAsText(gitIgnoreFile);
-        PROCESSOR.parseGitIgnore(text);
+    if (manifest && matches.length > 0) {
+        const checked = PROCESSOR.verifyAgainstManifest(matches, manifest, STATE.secretMap);
+        matches = checked.files;
+        STATE.manifestMissing = checked.missing;
     }
 
-    const processedList = [];
-    for (const file of files) {
-        const path = file.webkitRelativePath || file.name;
-        if (PROCESSOR.shouldIgnore(path)) continue;
-        
-        const res = await processSingleFile(file, path);
-        if (res) processedList.push(res);
+    // Line-range blocks ("path (lines 120-180)") are spliced back into the loaded files they were cut from
+    if (matches.some(m => PROCESSOR.parseRangePath(m.path))) {
+        const spliced = PROCESSOR.spliceRangeBlocks(matches, path => {
+            const item = findLoadedFile(path);
+            return item && !item.oversize ? item.content : null;
+        });
+        matches = spliced.files;
+        if (spliced.unresolved.length > 0) {
+            showToast(`以下片段对应的文件未加载，无法拼回: ${spliced.unresolved.join(', ')}`, "error");
+        }
     }
 
-    await minWait;
-    STATE.globalFiles = processedList;
-
-    if (STATE.globalFiles.length === 0) {
-        showToast('未找到有效代码文件 (全部被过滤)', 'error');
-        showLoading(false);
-        return;
+    if (matches.length === 0) {
+        alert("未找到有效的文件标记！\n支持格式：=== File: path === / ## File: path + 代码块 / <file path=\"...\"> / JSON，\n或在代码块的信息行（```js title=\"src/app.js\"）、上方标题或加粗行中写明路径");
+        return null;
     }
+    return matches
+        .map(m => ({ path: PROCESSOR.sanitizePath(m.path), content: m.content, detectedBy: m.detectedBy, check: m.check, executable: m.executable }))
+        .filter(m => m.path);
+}
 
-    renderFileTree();
-    updateCapsuleStats(); 
-    showLoading(false);
-});
-
-document.getElementById('extraFileInput').addEventListener('change', async (e) => {
-    const files = Array.from(e.target.files);
-    if (files.length === 0) return;
-
-    let addedCount = 0;
-    for (const file of files) {
-        const path = "Extra_Files/" + file.name;
-        // Logic fix: Handle return object
-        const existIndex = STATE.globalFiles.findIndex(f => f.path === path);
-        if (existIndex > -1) STATE.globalFiles.splice(existIndex, 1);
+// --- WRITE BACK (File System Access API) ---
+function supportsFolderWrite() {
+    return typeof window.showDirectoryPicker === 'function';
+}
 
-        try {
-            const res = await processSingleFile(file, path);
-            if (res) {
-                STATE.globalFiles.push(res); // Logic: Only here we modify state for extra files
-                addedCount++;
-            }
-        } 
-        catch (err) { console.warn(`Skipped: ${path}`); }
+async function linkTargetFolder() {
+    if (!supportsFolderWrite()) {
+        showToast("当前浏览器不支持直接写入文件夹，将使用 Zip 下载", "error");
+        return;
     }
-
-    if (addedCount > 0) {
-        renderFileTree();
-        updateCapsuleStats();
-        showToast(`已追加 ${addedCount} 个文件`, "success");
-        
-        if (STATE.currentProjectName === "code_press_context" && files.length > 0) {
-             STATE.currentProjectName = "Mixed_Files";
+    try {
+        STATE.targetDirHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+        showToast(`已绑定文件夹: ${STATE.targetDirHandle.name}`, "success");
+    } catch (e) {
+        if (e.name !== 'AbortError') {
+            console.error(e);
+            showToast("绑定文件夹失败: " + e.message, "error");
         }
-        resetResultsArea();
     }
-    e.target.value = '';
-});
+    renderTargetFolder();
+}
 
-function triggerAddExtra() { 
-    document.getElementById('extraFileInput').click();
+function unlinkTargetFolder() {
+    STATE.targetDirHandle = null;
+    renderTargetFolder();
+    showToast("已解除绑定，重构将下载 Zip");
 }
 
-// UI/UX: Copy Tree Only feature
-async function copyTreeOnly() {
-    // UI/UX Optimization 3.A: Check if project loaded first
-    if (STATE.globalFiles.length === 0) {
-        showToast("请先上传项目", "error");
-        return;
-    }
+function renderTargetFolder() {
+    const label = document.getElementById('targetFolderLabel');
+    if (!label) return;
+    const linked = !!STATE.targetDirHandle;
+    label.innerText = linked ? `📁 ${STATE.targetDirHandle.name}` :
+        (supportsFolderWrite() ? '未绑定，重构将下载 Zip' : '浏览器不支持，重构将下载 Zip');
+    document.getElementById('linkFolderBtn').classList.toggle('hidden', linked || !supportsFolderWrite());
+    document.getElementById('unlinkFolderBtn').classList.toggle('hidden', !linked);
+    document.getElementById('backupOption').classList.toggle('hidden', !linked);
+}
 
-    const activeFiles = STATE.globalFiles.filter(f => f.selected);
-    if (activeFiles.length === 0) {
-        showToast("请至少选择一个文件", "error");
+// Entry paths start with the dropped folder name (e.g. "proj/src/a.js"); the linked folder is that root
+function toFolderRelative(paths, folderName) {
+    const roots = [folderName, STATE.currentProjectName];
+    const root = roots.find(r => r && paths.every(p => p.startsWith(r + '/')));
+    return paths.map(p => root ? p.slice(root.length + 1) : p);
+}
+
+async function writeEntriesToFolder(entries) {
+    if (entries.length === 0) {
+        showToast("未提取到任何有效文件", "error");
         return;
     }
-    const paths = activeFiles.map(f => f.path);
-    const treeText = "Project Structure:\n" + PROCESSOR.generateTree(paths);
+    const dir = STATE.targetDirHandle;
+    const backup = document.getElementById('backupCheck').checked;
+    const relPaths = toFolderRelative(entries.map(e => e.path), dir.name);
+
+    // Confirmation list: which files will be created and which overwritten
+    // Stability: an invalid name or a revoked permission rejects here, before anything is written
+    let existing;
     try {
-        await navigator.clipboard.writeText(treeText);
-        showToast("已仅复制目录树", "success");
+        existing = await Promise.all(relPaths.map(p => getFileHandleAt(dir, p, false).then(h => !!h)));
     } catch (e) {
         console.error(e);
-        showToast("复制失败", "error");
+        showToast("无法读取目标文件夹: " + e.message, "error");
+        return;
     }
-}
+    const lines = relPaths.map((p, i) => `${existing[i] ? '覆盖' : '新建'}  ${p}`);
+    const shown = lines.slice(0, 20).join('\n') + (lines.length > 20 ? `\n... 以及其他 ${lines.length - 20} 个文件` : '');
+    if (!confirm(`将写入文件夹 “${dir.name}”${backup ? '（覆盖前备份为 .bak）' : ''}：\n\n${shown}\n\n确认写入？`)) return;
 
-function renderFileTree() {
+    try {
+        if (await dir.queryPermission({ mode: 'readwrite' }) !== 'granted' &&
+            await dir.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+            showToast("未获得文件夹写入权限", "error");
+            return;
+        }
+        let written = 0;
+        for (let i = 0; i < entries.length; i++) {
+            const handle = await getFileHandleAt(dir, relPaths[i], true);
+            if (backup && existing[i]) {
+                // The original bytes as they are: decoding as text would mangle GBK or binary files
+                const old = await (await handle.getFile()).arrayBuffer();
+                const parentPath = relPaths[i].split('/').slice(0, -1).join('/');
+                const bak = await getFileHandleAt(dir, (parentPath ? parentPath + '/' : '') + handle.name + '.bak', true);
+                await writeHandle(bak, old);
+            }
+            await writeHandle(handle, entries[i].content);
+            written++;
+        }
+        showToast(`已写入 ${written} 个文件到 ${dir.name}`, "success");
+    } catch (e) {
+        console.error(e);
+        showToast("写入失败: " + e.message, "error");
+    }
+}
+
+// Walk (and optionally create) the directory chain; resolves null when a part is missing
+async function getFileHandleAt(dir, relPath, create) {
+    const parts = relPath.split('/');
+    const fileName = parts.pop();
+    try {
+        let current = dir;
+        for (const part of parts) current = await current.getDirectoryHandle(part, { create });
+        return await current.getFileHandle(fileName, { create });
+    } catch (e) {
+        if (!create && (e.name === 'NotFoundError' || e.name === 'TypeMismatchError')) return null;
+        throw e;
+    }
+}
+
+async function writeHandle(handle, content) {
+    const writable = await handle.createWritable();
+    await writable.write(content);
+    await writable.close();
+}
+
+// --- PATCH MODE ---
+// Apply a unified diff to the loaded project. Deletions come back as { deleted: true } entries,
+// hunks that don't apply are collected in STATE.patchFailures.
+function applyPatchContent(content) {
+    const patches = PROCESSOR.parsePatch(content);
+    const entries = [];
+    const hunkLabel = h => h.oldStart !== null ? `@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@` : '@@ @@';
+
+    patches.forEach(patch => {
+        const oldPath = PROCESSOR.sanitizePath(patch.oldPath || patch.newPath || '');
+        const newPath = PROCESSOR.sanitizePath(patch.newPath || patch.oldPath || '');
+        const original = patch.isNew ? null : findLoadedFile(oldPath);
+
+        if (patch.isDeleted) {
+            entries.push({ path: original ? original.path : resolveProjectPath(oldPath), content: '', deleted: true });
+            return;
+        }
+        if (!patch.isNew && !original) {
+            STATE.patchFailures.push({ path: oldPath, hunk: '*', reason: '项目中未找到该文件' });
+            return;
+        }
+
+        const { content: patched, failed } = PROCESSOR.applyHunks(original ? original.content : '', patch.hunks);
+        failed.forEach(i => STATE.patchFailures.push({ path: newPath, hunk: hunkLabel(patch.hunks[i]), reason: '上下文不匹配' }));
+        const path = original && !patch.isRename ? original.path : resolveProjectPath(newPath);
+        entries.push({ path, content: patched });
+        if (patch.isRename && original) entries.push({ path: original.path, content: '', deleted: true });
+    });
+
+    if (STATE.patchFailures.length > 0) {
+        showToast(`${STATE.patchFailures.length} 个 hunk 应用失败，请点击“预览变更”查看`, "error");
+    }
+    if (entries.length === 0) {
+        alert("补丁未能应用到任何文件！\n请先在“压扁”页加载对应的项目。");
+        return null;
+    }
+    return entries;
+}
+
+// Patch paths are relative to the repository root while loaded paths start with the dropped folder
+function resolveProjectPath(path) {
+    if (STATE.globalFiles.length === 0 || findLoadedFile(path)) return path;
+    const roots = new Set(STATE.globalFiles.map(f => f.path.split('/')[0]));
+    const root = roots.size === 1 ? [...roots][0] : null;
+    return root && !path.startsWith(root + '/') && STATE.globalFiles.every(f => f.path.includes('/')) ? `${root}/${path}` : path;
+}
+
+// --- INFLATE PREVIEW ---
+// Parsed paths usually carry the project root like the flatten output, but models sometimes drop it
+function findLoadedFile(path) {
+    return STATE.globalFiles.find(f => f.path === path) ||
+        STATE.globalFiles.find(f => f.path.endsWith('/' + path));
+}
+
+function previewInflate() {
+    const content = document.getElementById('pasteArea').value;
+    if (!content.trim()) {
+        showToast("内容为空，请先粘贴代码", "error");
+        return;
+    }
+    const entries = parseInflateContent(content);
+    if (!entries) return;
+    showInflatePreview(content, entries);
+}
+
+function showInflatePreview(content, entries) {
+    STATE.inflatePreview = { source: content, files: entries.map(describeInflateEntry) };
+    renderInflatePreview();
+}
+
+// Compare one parsed entry with the loaded project: status, line diff and whether it's ticked by default
+function describeInflateEntry(entry) {
+    // Trailing newlines are dropped by the parsers, so don't count them as a change
+    const normalize = text => text.replace(/\r\n/g, '\n').replace(/\n+$/, '');
+    if (entry.deleted) return { ...entry, status: 'deleted', ops: null, accepted: false };
+    const truncated = entry.check === 'truncated';
+    const original = findLoadedFile(entry.path);
+    if (!original) return { ...entry, status: 'new', ops: null, accepted: !truncated };
+    const unchanged = normalize(original.content) === normalize(entry.content);
+    return {
+        ...entry,
+        status: unchanged ? 'unchanged' : 'modified',
+        ops: unchanged ? null : PROCESSOR.diffLines(normalize(original.content), normalize(entry.content)),
+        accepted: !unchanged && !truncated
+    };
+}
+
+// Fix a mis-detected path: the entry is compared again under its new name
+function renameInflateEntry(index, value) {
+    const path = PROCESSOR.sanitizePath(value.trim());
+    const files = STATE.inflatePreview.files;
+    if (!path) {
+        showToast("路径无效", "error");
+    } else if (path !== files[index].path) {
+        files[index] = describeInflateEntry({ ...files[index], path });
+    }
+    renderInflatePreview();
+}
+
+function clearInflatePreview() {
+    STATE.inflatePreview = null;
+    if (STATE.viewer && STATE.viewer.source === 'inflate') closeFileViewer();
+    renderInflatePreview();
+}
+
+function renderInflatePreview() {
+    const panel = document.getElementById('inflatePreview');
+    if (!panel) return;
+    const preview = STATE.inflatePreview;
+    if (!preview) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    const count = status => preview.files.filter(f => f.status === status).length;
+    const hint = STATE.globalFiles.length === 0 ? ' · 未加载项目，无法对比差异' : '';
+    const deleted = count('deleted') ? ` · ${count('deleted')} 删除` : '';
+    document.getElementById('inflateSummary').innerText =
+        `${count('new')} 新增 · ${count('modified')} 修改 · ${count('unchanged')} 未变${deleted}${hint}`;
+
+    const report = document.getElementById('patchReport');
+    report.innerHTML = STATE.patchFailures.map(f =>
+        `<div class="report-row"><span>⚠️ ${escapeHtml(f.path)} ${escapeHtml(f.hunk)}</span><span>${f.reason}</span></div>`).join('');
+    report.classList.toggle('hidden', STATE.patchFailures.length === 0);
+
+    const missing = STATE.manifestMissing;
+    const manifestReport = document.getElementById('manifestReport');
+    manifestReport.innerHTML = missing.length === 0 ? '' :
+        `<div class="report-row"><span>📋 清单中有 ${missing.length} 个文件未出现在文本中（未修改或被遗漏）</span></div>` +
+        missing.map(path => `<div class="report-row"><span>${escapeHtml(path)}</span></div>`).join('');
+    manifestReport.classList.toggle('hidden', missing.length === 0);
+
+    const list = document.getElementById('changeList');
+    list.innerHTML = '';
+    preview.files.forEach((f, index) => {
+        const row = document.createElement('div');
+        row.className = 'change-row';
+        const added = f.ops ? f.ops.filter(op => op.type === 'add').length : f.content.split('\n').length;
+        const removed = f.ops ? f.ops.filter(op => op.type === 'del').length : 0;
+        row.innerHTML = `
+            <div class="change-head">
+                <input type="checkbox" ${f.accepted ? 'checked' : ''} ${f.deleted ? 'disabled' : ''} title="${f.deleted ? 'Zip 无法表示删除，请手动删除该文件' : '写入 Zip'}">
+                <span class="change-badge ${f.status}">${{ new: 'N', modified: 'M', unchanged: '=', deleted: 'D' }[f.status]}</span>
+                ${f.deleted ? `<span class="change-path">${escapeHtml(f.path)}</span>` :
+                    `<input type="text" class="change-path change-path-input" value="${escapeHtml(f.path)}" title="点击修改路径" spellcheck="false">`}
+                ${f.check && MANIFEST_CHECK_LABELS[f.check] ? `<span class="change-check ${f.check}" title="${MANIFEST_CHECK_LABELS[f.check].title}">${MANIFEST_CHECK_LABELS[f.check].label}</span>` : ''}
+                ${f.detectedBy ? `<span class="change-source" title="宽松识别：路径来自${DETECTED_BY_LABELS[f.detectedBy]}">${DETECTED_BY_LABELS[f.detectedBy]}</span>` : ''}
+                ${f.status === 'unchanged' || f.deleted ? '' : `<span class="change-stat"><span class="diff-add">+${added}</span> <span class="diff-del">-${removed}</span></span>`}
+                ${f.deleted ? '' : `<button class="tool-btn change-view" title="查看 / 编辑解析出的内容">${f.edited ? '已编辑' : '查看'}</button>`}
+            </div>
+        `;
+        row.querySelector('input[type="checkbox"]').onchange = (e) => { f.accepted = e.target.checked; };
+        const viewButton = row.querySelector('.change-view');
+        if (viewButton) {
+            viewButton.onclick = (e) => {
+                e.stopPropagation();
+                openFileViewer('inflate', index);
+            };
+        }
+        const pathInput = row.querySelector('.change-path-input');
+        if (pathInput) {
+            pathInput.onchange = () => renameInflateEntry(index, pathInput.value);
+            pathInput.onkeydown = (e) => { if (e.key === 'Enter') pathInput.blur(); };
+        }
+        if (f.status === 'new' || f.status === 'modified') {
+            const head = row.querySelector('.change-head');
+            head.classList.add('expandable');
+            head.onclick = (e) => {
+                if (e.target.tagName === 'INPUT') return;
+                toggleDiffView(row, index);
+            };
+        }
+        list.appendChild(row);
+    });
+    panel.classList.remove('hidden');
+}
+
+// 'modified' needs no badge, the diff already shows it
+const MANIFEST_CHECK_LABELS = {
+    verified: { label: '✓ 一致', title: '与清单中的 SHA-256 完全一致' },
+    truncated: { label: '✂ 截断', title: '包含“其余代码不变”之类的省略注释或缺少分段，写入会丢失内容' },
+    added: { label: '+ 清单外', title: '清单中没有此文件' }
+};
+const DETECTED_BY_LABELS = { fence: '代码块信息行', heading: '标题', label: '文件名行', prose: '说明文字' };
+
+function toggleDiffView(row, index) {
+    const existing = row.querySelector('.diff-view');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+    const f = STATE.inflatePreview.files[index];
+    const view = document.createElement('div');
+    view.className = 'diff-view';
+    // New files have no base to diff against, show them as all-added
+    const ops = f.ops || f.content.split('\n').map((line, i) => ({ type: 'add', line, oldNo: null, newNo: i + 1 }));
+    view.innerHTML = PROCESSOR.buildHunks(ops).map(hunk => `
+        <div class="diff-hunk">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</div>
+        ${hunk.lines.map(op => `<div class="diff-line ${op.type}"><span class="diff-no">${op.oldNo || ''}</span><span class="diff-no">${op.newNo || ''}</span><span class="diff-text">${{ equal: ' ', add: '+', del: '-' }[op.type]} ${escapeHtml(op.line)}</span></div>`).join('')}
+    `).join('');
+    row.appendChild(view);
+}
+
+function toggleAllChanges() {
+    if (!STATE.inflatePreview) return;
+    const selectable = STATE.inflatePreview.files.filter(f => !f.deleted);
+    const hasUnchecked = selectable.some(f => !f.accepted);
+    selectable.forEach(f => f.accepted = hasUnchecked);
+    renderInflatePreview();
+}
+
+// --- FILE VIEWER ---
+// Side panel showing one loaded file, one file parsed in the Inflate tab, or the whole flatten output.
+// Only the lines in view are in the DOM (fixed line height), the highlighting is computed once when opened.
+const VIEWER_LINE_HEIGHT = 20;
+const VIEWER_OVERSCAN = 40;
+
+// { path, content, editable } behind a viewer source, null when it no longer exists
+function getViewerTarget(source, index) {
+    if (source === 'output') return STATE.finalOutput ? { path: '压扁输出', content: STATE.finalOutput, editable: false } : null;
+    const item = source === 'loaded' ? STATE.globalFiles[index] : STATE.inflatePreview && STATE.inflatePreview.files[index];
+    if (!item || item.deleted) return null;
+    // An oversize file only holds a size notice
+    return { path: item.path, content: item.content, editable: !item.oversize };
+}
+
+function openFileViewer(source, index = null) {
+    const target = getViewerTarget(source, index);
+    if (!target) {
+        showToast(source === 'output' ? '请先压扁' : '文件不存在', 'error');
+        return;
+    }
+    STATE.viewer = { source, index, path: target.path, lines: null };
+    document.getElementById('viewerTitle').innerText = target.path;
+    document.getElementById('viewerEditBtn').classList.toggle('hidden', !target.editable);
+    document.getElementById('fileViewer').classList.remove('hidden');
+    setViewerEditing(false);
+    showViewerContent(target.content);
+}
+
+function showViewerContent(content) {
+    const viewer = STATE.viewer;
+    viewer.lines = PROCESSOR.highlightLines(content, viewer.source === 'output' ? 'text' : PROCESSOR.getLanguage(viewer.path));
+    document.getElementById('viewerInfo').innerText = `${viewer.lines.length.toLocaleString()} 行 · ${formatSize(new Blob([content]).size)}`;
+    document.getElementById('viewerSpacer').style.height = `${viewer.lines.length * VIEWER_LINE_HEIGHT}px`;
+    document.getElementById('viewerScroll').scrollTop = 0;
+    renderViewerLines();
+}
+
+function renderViewerLines() {
+    const viewer = STATE.viewer;
+    if (!viewer || !viewer.lines) return;
+    const scroll = document.getElementById('viewerScroll');
+    const first = Math.max(0, Math.floor(scroll.scrollTop / VIEWER_LINE_HEIGHT) - VIEWER_OVERSCAN);
+    const last = Math.min(viewer.lines.length, Math.ceil((scroll.scrollTop + scroll.clientHeight) / VIEWER_LINE_HEIGHT) + VIEWER_OVERSCAN);
+    const item = viewer.source === 'loaded' ? STATE.globalFiles[viewer.index] : null;
+    const ranges = item && item.ranges || [];
+    const inRange = line => ranges.some(r => line >= r.start && line <= r.end);
+    const box = document.getElementById('viewerLines');
+    box.style.transform = `translateY(${first * VIEWER_LINE_HEIGHT}px)`;
+    box.innerHTML = viewer.lines.slice(first, last).map((segments, i) => `
+        <div class="viewer-line${inRange(first + i + 1) ? ' in-range' : ''}"><span class="viewer-no">${first + i + 1}</span><span class="viewer-text">${segments
+            .map(([type, text]) => type ? `<span class="hl-${type}">${escapeHtml(text)}</span>` : escapeHtml(text)).join('')}</span></div>`).join('');
+}
+
+// Performance: re-render at most once per frame while scrolling
+document.getElementById('viewerScroll').addEventListener('scroll', () => {
+    if (!STATE.viewer || STATE.viewer.frame) return;
+    STATE.viewer.frame = requestAnimationFrame(() => {
+        STATE.viewer.frame = null;
+        renderViewerLines();
+    });
+});
+
+function closeFileViewer() {
+    STATE.viewer = null;
+    document.getElementById('fileViewer').classList.add('hidden');
+    document.getElementById('viewerLines').innerHTML = '';
+}
+
+function setViewerEditing(editing) {
+    document.getElementById('viewerScroll').classList.toggle('hidden', editing);
+    document.getElementById('viewerEditor').classList.toggle('hidden', !editing);
+    renderViewerRangeBar(editing);
+    document.getElementById('viewerSaveBtn').classList.toggle('hidden', !editing);
+    document.getElementById('viewerCancelBtn').classList.toggle('hidden', !editing);
+    document.getElementById('viewerEditBtn').classList.toggle('hidden', editing || !getViewerTarget(STATE.viewer.source, STATE.viewer.index).editable);
+}
+
+// Line ranges and symbols: only loaded files can be flattened in part
+function renderViewerRangeBar(editing) {
+    const viewer = STATE.viewer;
+    const item = viewer.source === 'loaded' ? STATE.globalFiles[viewer.index] : null;
+    const bar = document.getElementById('viewerRangeBar');
+    bar.classList.toggle('hidden', editing || !item || item.oversize);
+    if (editing || !item || item.oversize) return;
+    viewer.symbols = PROCESSOR.listSymbols(item.content, PROCESSOR.getLanguage(item.path));
+    const select = document.getElementById('viewerSymbol');
+    select.innerHTML = viewer.symbols.length === 0 ? '<option value="">未识别到函数 / 类</option>' : viewer.symbols
+        .map((symbol, i) => `<option value="${i}">${escapeHtml(symbol.name)} · ${symbol.kind} (${symbol.start}-${symbol.end})</option>`).join('');
+    select.disabled = viewer.symbols.length === 0;
+    document.getElementById('viewerRanges').value = item.ranges ? PROCESSOR.formatLineRanges(item.ranges) : '';
+}
+
+function addViewerSymbol() {
+    const symbol = STATE.viewer.symbols[document.getElementById('viewerSymbol').value];
+    if (!symbol) return;
+    const input = document.getElementById('viewerRanges');
+    input.value = [input.value.trim(), `${symbol.start}-${symbol.end}`].filter(Boolean).join(', ');
+    applyViewerRanges();
+}
+
+function applyViewerRanges() {
+    const item = getViewerLoadedFile();
+    if (!item) return;
+    const text = document.getElementById('viewerRanges').value.trim();
+    try {
+        setFileRanges(item, text ? PROCESSOR.parseLineRanges(text, PROCESSOR.contentLines(item.content).length) : null);
+    } catch (e) {
+        showToast('行范围无效: ' + e.message, 'error');
+    }
+}
+
+function clearViewerRanges() {
+    const item = getViewerLoadedFile();
+    if (item) setFileRanges(item, null);
+}
+
+// Logic Fix: the project may have been replaced while the viewer was open
+function getViewerLoadedFile() {
+    const { index, path } = STATE.viewer;
+    const item = STATE.globalFiles[index];
+    if (item && item.path === path) return item;
+    showToast('文件已不在当前列表中', 'error');
+    return null;
+}
+
+function setFileRanges(item, ranges) {
+    item.ranges = ranges && ranges.length > 0 ? ranges : null;
+    item.tokens = PROCESSOR.effectiveTokens(toJobFile(item), getReductionOptions());
+    document.getElementById('viewerRanges').value = item.ranges ? PROCESSOR.formatLineRanges(item.ranges) : '';
+    renderViewerLines();
+    resetResultsArea();
+    renderFileTree();
+    updateCapsuleStats();
+    showToast(item.ranges ? `仅压扁第 ${PROCESSOR.formatLineRanges(item.ranges)} 行：${item.path}` : `压扁整个文件：${item.path}`, 'success');
+}
+
+function editViewerFile() {
+    const target = getViewerTarget(STATE.viewer.source, STATE.viewer.index);
+    if (!target || !target.editable) return;
+    const editor = document.getElementById('viewerEditor');
+    editor.value = target.content;
+    setViewerEditing(true);
+    editor.focus();
+}
+
+function cancelViewerEdit() {
+    setViewerEditing(false);
+    renderViewerLines();
+}
+
+// Write the edit back: a loaded file is recounted, an inflated file is compared with the project again
+function saveViewerEdit() {
+    const { source, index, path } = STATE.viewer;
+    const target = getViewerTarget(source, index);
+    // Logic Fix: the project or preview may have been replaced while the editor was open
+    if (!target || target.path !== path) {
+        showToast('文件已不在当前列表中，无法保存', 'error');
+        return;
+    }
+    const content = document.getElementById('viewerEditor').value;
+    if (source === 'loaded') {
+        const item = STATE.globalFiles[index];
+        Object.assign(item, { content, fullTokens: PROCESSOR.estimateTokens(content), edited: true });
+        item.tokens = PROCESSOR.effectiveTokens(toJobFile(item), getReductionOptions());
+        resetResultsArea();
+        renderFileTree();
+        updateCapsuleStats();
+    } else {
+        const files = STATE.inflatePreview.files;
+        // A hand-fixed file no longer matches its manifest check (verified / truncated)
+        const check = files[index].check === 'added' ? 'added' : null;
+        files[index] = { ...describeInflateEntry({ ...files[index], content, check }), accepted: true, edited: true };
+        renderInflatePreview();
+    }
+    setViewerEditing(false);
+    showViewerContent(content);
+    showToast(`已保存修改：${path}`, 'success');
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Output format selector (Plain / Markdown / XML / JSON)
+function getOutputFormat() {
+    const select = document.getElementById('formatSelect');
+    return select ? select.value : 'plain';
+}
+
+// Keep the prompt hint in sync with the chosen format so the AI answers in a parsable layout
+const FORMAT_PROMPT_HINTS = {
+    plain: "请修改代码，严格按照 Code Flatten 格式，严格将完整的修改后的文件内容包裹在 txt 代码块中。格式要求：1. 开头展示 Project Structure (目录树)。2. 每个文件内容前必须包含标记：=== File: path/to/file.ext ===。",
+    markdown: "请修改代码，输出每个修改后的完整文件。格式要求：每个文件以标题行 ## File: path/to/file.ext 开头，紧跟一个标注语言的 Markdown 代码块，代码块内为完整文件内容。",
+    xml: "请修改代码，输出每个修改后的完整文件。格式要求：每个文件用 <file path=\"path/to/file.ext\"> 与 </file> 标签包裹，标签内为完整文件内容，不要转义代码。",
+    json: "请修改代码，只输出一个 JSON 对象：{\"files\": [{\"path\": \"path/to/file.ext\", \"content\": \"完整文件内容\"}]}，content 为修改后的完整文件内容。"
+};
+
+function onFormatChange() {
+    const promptElement = document.getElementById('promptText');
+    if (promptElement) promptElement.innerText = FORMAT_PROMPT_HINTS[getOutputFormat()] || FORMAT_PROMPT_HINTS.plain;
+    resetResultsArea();
+}
+
+// --- CHUNKED EXPORT ---
+function getPartSize() {
+    const select = document.getElementById('partSizeSelect');
+    return select ? parseInt(select.value, 10) || 0 : 0;
+}
+
+function renderPartsBar() {
+    const bar = document.getElementById('partsBar');
+    if (!bar) return;
+    if (STATE.finalParts.length === 0) {
+        bar.classList.add('hidden');
+        bar.innerHTML = '';
+        return;
+    }
+    const total = STATE.finalParts.length;
+    bar.innerHTML = STATE.finalParts.map((part, i) => `
+        <button class="tool-btn part-btn" onclick="copyPart(${i}, this)" title="~${PROCESSOR.estimateTokens(part).toLocaleString()} tokens">
+            📋 Part ${i + 1}/${total}
+        </button>
+    `).join('');
+    bar.classList.remove('hidden');
+}
+
+async function copyPart(index, btn) {
+    const part = STATE.finalParts[index];
+    if (!part || !confirmUnredactedExport()) return;
+    try {
+        await navigator.clipboard.writeText(part);
+        btn.classList.add('copied');
+        showToast(`已复制 Part ${index + 1}/${STATE.finalParts.length}`, "success");
+    } catch (e) {
+        console.error(e);
+        showToast('复制失败，请尝试下载文件', 'error');
+    }
+}
+
+function switchTab(tab) {
+    document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
+    document.querySelectorAll('.section-content').forEach(s => s.classList.remove('active'));
+    
+    const btns = document.querySelectorAll('.tab-btn');
+    if(tab === 'pack') {
+        btns[0].classList.add('active');
+        document.getElementById('packSection').classList.add('active');
+    } else {
+        btns[1].classList.add('active');
+        document.getElementById('inflateSection').classList.add('active');
+    }
+}
+
+// Native File Input Handler (Legacy support + Extra files)
+document.getElementById('fileInput').addEventListener('change', async (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
+
+    const job = beginJob();
+    
+    // UI/UX: Min wait time
+    const minWait = new Promise(r => setTimeout(r, 500));
+
+    const firstPath = files[0].webkitRelativePath;
+    const entries = files.map(file => ({ file, path: file.webkitRelativePath || file.name }));
+    try {
+        // No directory walk here: the job loads every ignore file, scoped to its directory, then filters
+        applyFilterSettings();
+        const result = await runJob(job, 'scan', { entries, encoding: getSelectedEncoding(), filter: true, reduce: getReductionOptions() });
+        await minWait;
+        applyScanResult(result, entries, firstPath ? firstPath.split('/')[0] : null);
+    } catch (error) {
+        restoreProjectFilters();
+        handleJobError(error);
+    } finally {
+        endJob(job);
+        e.target.value = '';
+    }
+});
+
+document.getElementById('extraFileInput').addEventListener('change', async (e) => {
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
+
+    // A handful of files: read inline with the same pipeline as the scan job
+    const entries = files.map(file => ({ file, path: "Extra_Files/" + file.name }));
+    const result = await PROCESSOR.readFileEntries(entries, { encoding: getSelectedEncoding(), reduce: getReductionOptions() });
+    result.failed.forEach(f => console.warn(`Skipped: ${f.path}`));
+
+    let addedCount = 0;
+    result.files.forEach(f => {
+        const existIndex = STATE.globalFiles.findIndex(item => item.path === f.path);
+        if (existIndex > -1) STATE.globalFiles.splice(existIndex, 1);
+        // Logic: Only here we modify state for extra files
+        STATE.globalFiles.push(toFileItem(f, entries));
+        addedCount++;
+    });
+
+    if (addedCount > 0) {
+        renderFileTree();
+        updateCapsuleStats();
+        renderScanSummary();
+        showToast(`已追加 ${addedCount} 个文件`, "success");
+        
+        if (STATE.currentProjectName === "code_press_context" && files.length > 0) {
+             STATE.currentProjectName = "Mixed_Files";
+        }
+        resetResultsArea();
+    }
+    e.target.value = '';
+});
+
+function triggerAddExtra() { 
+    document.getElementById('extraFileInput').click();
+}
+
+// UI/UX: Copy Tree Only feature
+async function copyTreeOnly() {
+    // UI/UX Optimization 3.A: Check if project loaded first
+    if (STATE.globalFiles.length === 0) {
+        showToast("请先上传项目", "error");
+        return;
+    }
+
+    const activeFiles = STATE.globalFiles.filter(f => f.selected);
+    if (activeFiles.length === 0) {
+        showToast("请至少选择一个文件", "error");
+        return;
+    }
+    const paths = activeFiles.map(f => f.path);
+    const treeText = "Project Structure:\n" + PROCESSOR.generateTree(paths);
+    try {
+        await navigator.clipboard.writeText(treeText);
+        showToast("已仅复制目录树", "success");
+    } catch (e) {
+        console.error(e);
+        showToast("复制失败", "error");
+    }
+}
+
+function renderFileTree() {
     const container = document.getElementById('fileTree');
+    // Re-rendering keeps the scroll position (folder toggles and bulk selection redraw the whole tree)
+    const scrollTop = container.scrollTop;
     container.innerHTML = '';
+    const matches = getTreeMatches();
     const treeRoot = {};
     STATE.globalFiles.forEach((fileItem, index) => {
+        if (matches && !matches.has(index)) return;
         const parts = fileItem.path.split('/'); 
         let currentLevel = treeRoot;
         
@@ -532,38 +1462,84 @@ function renderFileTree() {
                 currentLevel[part] = { _type: 'file', _index: index, _name: part };
             } else {
                 if (!currentLevel[part]) {
-                    currentLevel[part] = { _type: 'folder', _name: part, _children: {} };
+                    currentLevel[part] = { _type: 'folder', _name: part, _path: parts.slice(0, i + 1).join('/'), _children: {}, _indices: [] };
                 }
+                // Folders know the (visible) files below them for tri-state checkboxes and badges
+                currentLevel[part]._indices.push(index);
                 currentLevel = currentLevel[part]._children;
              }
         });
     });
     Object.keys(treeRoot).forEach(key => {
         const rootNode = treeRoot[key];
-        const rootEl = createTreeNode(rootNode);
+        const rootEl = createTreeNode(rootNode, Boolean(matches));
         container.appendChild(rootEl);
     });
+    renderTreeFilterStatus(matches);
+    container.scrollTop = scrollTop;
 }
 
-function createTreeNode(node) {
+function createTreeNode(node, filtered = false) {
     if (node._type === 'file') {
         const fileData = STATE.globalFiles[node._index];
         const div = document.createElement('div');
         div.className = `tree-leaf ${!fileData.selected ? 'deselected' : ''}`;
         div.innerHTML = `
             <span class="leaf-icon">📄</span>
-            <span class="leaf-name">${node._name}</span>
+            <span class="leaf-name">${escapeHtml(node._name)}</span>
+            <span class="leaf-size">${formatSize(getFileSize(fileData))}</span>
+            ${fileData.encoding ? renderEncodingSelect(fileData.encoding) : ''}
+            <span class="leaf-reduce${fileData.reduction !== 'default' ? ' active' : ''}" title="精简模式：跟随全局 / 原文 / 仅大纲（点击切换）">${REDUCTION_LABELS[fileData.reduction]}</span>
+            <span class="leaf-deps" data-direction="deps" title="选择此文件及其 import 的文件">依赖</span>
+            <span class="leaf-deps" data-direction="dependents" title="选择此文件及 import 它的文件">被依赖</span>
+            <span class="leaf-deps leaf-view" title="查看 / 编辑文件内容，或只压扁部分行">${fileData.edited ? '已编辑' : '查看'}</span>
+            ${fileData.ranges ? renderRangeBadge(fileData.ranges) : ''}
+            <span class="leaf-tokens">${formatTokenCount(fileData.tokens)}</span>
             ${!fileData.selected ? '' : '<span class="status-dot"></span>'}
         `;
         div.onclick = () => toggleFileSelection(node._index, div);
+        div.querySelector('.leaf-reduce').onclick = (e) => {
+            e.stopPropagation();
+            cycleFileReduction(node._index);
+        };
+        div.querySelectorAll('.leaf-deps[data-direction]').forEach(el => {
+            el.onclick = (e) => {
+                e.stopPropagation();
+                selectRelatedFiles(node._index, el.dataset.direction);
+            };
+        });
+        div.querySelector('.leaf-view').onclick = (e) => {
+            e.stopPropagation();
+            openFileViewer('loaded', node._index);
+        };
+        const encodingSelect = div.querySelector('.leaf-encoding');
+        if (encodingSelect) {
+            encodingSelect.onclick = (e) => e.stopPropagation();
+            encodingSelect.onchange = () => changeFileEncoding(node._index, encodingSelect.value);
+        }
         return div;
     } else {
         const details = document.createElement('details');
         details.className = 'tree-branch';
-        details.open = true;
+        // Search results are always expanded, otherwise folders stay the way the user left them
+        details.open = filtered || !STATE.collapsedFolders.has(node._path);
+        details.fileIndices = node._indices;
+        details.ontoggle = () => {
+            if (filtered) return;
+            if (details.open) STATE.collapsedFolders.delete(node._path);
+            else STATE.collapsedFolders.add(node._path);
+        };
         const summary = document.createElement('summary');
         summary.className = 'tree-summary';
-        summary.innerHTML = `<span class="folder-icon">📂</span> ${node._name}`;
+        summary.innerHTML = `
+            <input type="checkbox" class="branch-check" title="选择 / 取消整个文件夹">
+            <span class="folder-icon">📂</span> ${escapeHtml(node._name)}
+            <span class="leaf-size"></span>
+            <span class="leaf-tokens"></span>
+        `;
+        const check = summary.querySelector('.branch-check');
+        check.onclick = (e) => e.stopPropagation();
+        check.onchange = () => setFilesSelected(node._indices, check.checked);
         
         details.appendChild(summary);
         
@@ -579,13 +1555,316 @@ function createTreeNode(node) {
         });
         
         childrenKeys.forEach(key => {
-            childrenContainer.appendChild(createTreeNode(node._children[key]));
+            childrenContainer.appendChild(createTreeNode(node._children[key], filtered));
         });
         details.appendChild(childrenContainer);
+        updateBranchState(details);
         return details;
     }
 }
 
+// Folder checkbox: checked when every file below is selected, indeterminate when only some are.
+// The badges sum the size of all files below and the tokens of the selected ones.
+function updateBranchState(details) {
+    const files = details.fileIndices.map(i => STATE.globalFiles[i]);
+    const selected = files.filter(f => f.selected);
+    const check = details.querySelector(':scope > summary .branch-check');
+    check.checked = selected.length === files.length;
+    check.indeterminate = selected.length > 0 && selected.length < files.length;
+    details.querySelector(':scope > summary .leaf-size').innerText = formatSize(files.reduce((sum, f) => sum + getFileSize(f), 0));
+    details.querySelector(':scope > summary .leaf-tokens').innerText = formatTokenCount(selected.reduce((sum, f) => sum + f.tokens, 0));
+}
+
+function updateBranchStates() {
+    document.querySelectorAll('#fileTree .tree-branch').forEach(updateBranchState);
+}
+
+function setFilesSelected(indices, selected) {
+    indices.forEach(i => { STATE.globalFiles[i].selected = selected; });
+    renderFileTree();
+    updateCapsuleStats();
+    resetResultsArea();
+}
+
+// Size on disk when the File is known, otherwise the length of the loaded text
+function getFileSize(fileItem) {
+    return fileItem.file ? fileItem.file.size : fileItem.content.length;
+}
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+    return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)}KB` : `${bytes}B`;
+}
+
+// --- TREE SEARCH ---
+// Indices of the files matching the filter box, or null when it's empty (the whole tree is shown)
+function getTreeMatches() {
+    const query = document.getElementById('treeFilter').value;
+    if (!query.trim()) return null;
+    const mode = document.getElementById('treeFilterMode').value;
+    return new Set(PROCESSOR.searchFiles(STATE.globalFiles, query, mode));
+}
+
+function renderTreeFilterStatus(matches) {
+    const status = document.getElementById('treeFilterStatus');
+    status.innerText = matches ? `匹配 ${matches.size} / ${STATE.globalFiles.length}` : '';
+}
+
+// Optimization: content search touches every loaded file, so wait until typing pauses
+function onTreeFilterInput() {
+    clearTimeout(STATE.treeFilterTimer);
+    STATE.treeFilterTimer = setTimeout(renderFileTree, 200);
+}
+
+function selectTreeMatches(selected) {
+    const matches = getTreeMatches();
+    if (!matches) {
+        showToast('请先输入筛选条件', 'error');
+        return;
+    }
+    setFilesSelected(Array.from(matches), selected);
+    showToast(`已${selected ? '选择' : '取消选择'} ${matches.size} 个匹配文件`, 'success');
+}
+
+// --- RELATED FILES ---
+// The graph is rebuilt on every click: it is cheap next to a scan and always matches the current contents
+function selectRelatedFiles(index, direction) {
+    const depth = parseInt(document.getElementById('depDepth').value, 10) || Infinity;
+    const graph = PROCESSOR.buildImportGraph(STATE.globalFiles);
+    const related = PROCESSOR.collectRelated(graph, [index], direction, depth);
+    setFilesSelected([index, ...related], true);
+    const label = direction === 'deps' ? '依赖' : '被依赖';
+    showToast(related.length ? `已选择 ${related.length} 个${label}文件` : `未找到${label}文件`, related.length ? 'success' : 'error');
+}
+
+// --- GIT ---
+// .git is skipped by the scan like any ignored folder, its scan report item is where the repository is read from:
+// a directory entry when a folder or archive was dropped, the individual files when the folder picker was used.
+function detectGitRepo(report) {
+    STATE.gitFs = report ? createGitFs(report.default) : null;
+    STATE.gitRepo = null;
+    STATE.gitChanges = null;
+    renderGitPanel();
+}
+
+// { file(path) -> File | null, list(dir) -> names } over the skipped .git items, paths relative to .git
+function createGitFs(items) {
+    const dirItem = items.find(item => item.entry && item.entry.isDirectory && /^[^/]+\/\.git\/$/.test(item.path));
+    if (dirItem) return createEntryGitFs(dirItem.entry, dirItem.path.split('/')[0]);
+
+    const files = new Map();
+    let root = null;
+    items.forEach(item => {
+        const match = item.path.match(/^([^/]+)\/\.git\/(.+)$/);
+        if (!match || !item.file) return;
+        root = match[1];
+        files.set(match[2], item.file);
+    });
+    if (!files.has('HEAD')) return null;
+    return {
+        root,
+        file: async path => files.get(path) || null,
+        list: async dir => Array.from(files.keys())
+            .filter(path => path.startsWith(`${dir}/`) && !path.slice(dir.length + 1).includes('/'))
+            .map(path => path.slice(dir.length + 1))
+    };
+}
+
+// Directory listings are read once and kept, object lookups hit the same folders over and over
+function createEntryGitFs(gitDir, root) {
+    const listings = new Map();
+    const children = dir => {
+        if (!listings.has(dir)) {
+            listings.set(dir, (async () => {
+                const cut = dir.lastIndexOf('/');
+                const entry = dir ? (await children(cut < 0 ? '' : dir.slice(0, cut))).get(dir.slice(cut + 1)) : gitDir;
+                const map = new Map();
+                if (entry && entry.isDirectory) (await readAllEntries(entry.createReader())).forEach(child => map.set(child.name, child));
+                return map;
+            })());
+        }
+        return listings.get(dir);
+    };
+    return {
+        root,
+        file: async path => {
+            const cut = path.lastIndexOf('/');
+            const entry = (await children(cut < 0 ? '' : path.slice(0, cut))).get(path.slice(cut + 1));
+            return entry && entry.isFile ? new Promise((resolve, reject) => entry.file(resolve, reject)) : null;
+        },
+        list: async dir => Array.from((await children(dir)).keys())
+    };
+}
+
+async function getGitRepo() {
+    if (!STATE.gitRepo) STATE.gitRepo = PROCESSOR.openGitRepo(STATE.gitFs);
+    try {
+        return await STATE.gitRepo;
+    } catch (err) {
+        STATE.gitRepo = null; // Let the next attempt retry
+        throw err;
+    }
+}
+
+async function renderGitPanel() {
+    const panel = document.getElementById('gitPanel');
+    panel.classList.toggle('hidden', !STATE.gitFs);
+    onGitPresetChange(); // A restored session may have changed the preset
+    renderGitChangeSummary();
+    if (!STATE.gitFs) return;
+    const status = document.getElementById('gitStatus');
+    try {
+        const repo = await getGitRepo();
+        const head = (await PROCESSOR.readGitText(repo.fs, 'HEAD')).trim();
+        const sha = await PROCESSOR.resolveGitRef(repo, 'HEAD');
+        status.innerText = `${head.startsWith('ref: ') ? head.replace(/^ref: refs\/heads\//, '') : 'detached'} @ ${sha.slice(0, 7)}`;
+    } catch (err) {
+        console.warn('Git repository unreadable', err);
+        status.innerText = `无法读取仓库: ${err.message}`;
+    }
+}
+
+function onGitPresetChange() {
+    const preset = document.getElementById('gitPreset').value;
+    document.getElementById('gitRef').classList.toggle('hidden', preset !== 'ref');
+    document.getElementById('gitCommits').classList.toggle('hidden', preset !== 'commits');
+}
+
+function getGitBaseSpec() {
+    const preset = document.getElementById('gitPreset').value;
+    if (preset === 'ref') return document.getElementById('gitRef').value.trim();
+    if (preset === 'commits') return `HEAD~${Math.max(1, parseInt(document.getElementById('gitCommits').value, 10) || 1)}`;
+    return 'HEAD';
+}
+
+// Select exactly the files that differ from the preset's base commit (uncommitted work included)
+async function selectGitChanges() {
+    const spec = getGitBaseSpec();
+    if (!spec) {
+        showToast('请输入分支、标签或提交', 'error');
+        return;
+    }
+    const job = beginJob();
+    try {
+        const repo = await getGitRepo();
+        const sha = await PROCESSOR.resolveGitRef(repo, spec);
+        const index = await repo.fs.file('index');
+        const tracked = index ? PROCESSOR.parseGitIndex(new Uint8Array(await index.arrayBuffer())) : null;
+        // Files the scan left out (ignored, binary) still exist in the working tree
+        const prefix = `${repo.fs.root}/`;
+        const skipped = Object.values(STATE.scanReport || {}).flat()
+            .filter(item => item.path.startsWith(prefix)).map(item => item.path.slice(prefix.length));
+        const changes = await PROCESSOR.diffAgainstCommit(repo, sha, STATE.globalFiles, repo.fs.root, { tracked, skipped });
+        if (job.cancelled) throw cancelledError();
+
+        STATE.gitChanges = { base: `${spec} (${sha.slice(0, 7)})`, changes };
+        const changed = new Set(changes.map(c => c.path));
+        STATE.globalFiles.forEach(f => { f.selected = changed.has(f.path); });
+        const selected = STATE.globalFiles.filter(f => f.selected).length;
+        resetResultsArea();
+        renderFileTree();
+        updateCapsuleStats();
+        renderGitChangeSummary();
+        showToast(changes.length ? `已选择 ${selected} 个相对 ${spec} 变更的文件` : `相对 ${spec} 没有变更`, changes.length ? 'success' : 'normal');
+    } catch (error) {
+        handleJobError(error);
+    } finally {
+        endJob(job);
+    }
+}
+
+function renderGitChangeSummary() {
+    const label = document.getElementById('gitChangeSummary');
+    const git = STATE.gitChanges;
+    if (!git) {
+        label.innerText = '';
+        return;
+    }
+    const count = status => git.changes.filter(c => c.status === status).length;
+    label.innerText = `相对 ${git.base}：修改 ${count('modified')} · 新增 ${count('added')} · 未跟踪 ${count('untracked')} · 删除 ${count('deleted')}`;
+}
+
+// Flatten payload: the changes of the selected files, plus deletions (they have no file to select)
+function getGitOptions(activeFiles) {
+    if (!STATE.gitChanges) return null;
+    const selected = new Set(activeFiles.map(f => f.path));
+    return {
+        base: STATE.gitChanges.base,
+        mode: document.getElementById('gitDiffMode').value,
+        changes: STATE.gitChanges.changes.filter(c => c.status === 'deleted' || selected.has(c.path))
+    };
+}
+
+// --- CONTENT REDUCTION ---
+const REDUCTION_LABELS = { default: '默认', full: '原文', outline: '大纲' };
+
+function getReductionOptions() {
+    return {
+        comments: document.getElementById('reduceComments').checked,
+        blank: document.getElementById('reduceBlank').checked,
+        license: document.getElementById('reduceLicense').checked,
+        outline: document.getElementById('reduceOutline').checked
+    };
+}
+
+// Global options changed: recount every file in the background
+async function onReductionChange() {
+    resetResultsArea();
+    if (STATE.globalFiles.length === 0) return;
+    const job = beginJob();
+    try {
+        const tokens = await runJob(job, 'reduce', { files: STATE.globalFiles.map(toJobFile), reduce: getReductionOptions() });
+        STATE.globalFiles.forEach((f, i) => { f.tokens = tokens[i]; });
+        renderFileTree();
+        updateCapsuleStats();
+    } catch (error) {
+        handleJobError(error);
+    } finally {
+        endJob(job);
+    }
+}
+
+// Per-file override: follow the global options -> keep the full text -> outline only
+function cycleFileReduction(index) {
+    const item = STATE.globalFiles[index];
+    const modes = Object.keys(REDUCTION_LABELS);
+    item.reduction = modes[(modes.indexOf(item.reduction) + 1) % modes.length];
+    item.tokens = PROCESSOR.effectiveTokens(toJobFile(item), getReductionOptions());
+    resetResultsArea();
+    renderFileTree();
+    updateCapsuleStats();
+}
+
+// "L120-180 +2": first range and how many more, the full list on hover
+function renderRangeBadge(ranges) {
+    const [first] = PROCESSOR.formatLineRanges(ranges).split(', ');
+    const more = ranges.length > 1 ? ` +${ranges.length - 1}` : '';
+    return `<span class="leaf-range" title="仅压扁第 ${PROCESSOR.formatLineRanges(ranges)} 行">L${first}${more}</span>`;
+}
+
+function renderEncodingSelect(current) {
+    const options = PROCESSOR.config.ENCODINGS.includes(current) ? PROCESSOR.config.ENCODINGS : [current, ...PROCESSOR.config.ENCODINGS];
+    return `<select class="leaf-encoding" title="文件编码（可单独修改）">
+        ${options.map(enc => `<option value="${enc}"${enc === current ? ' selected' : ''}>${enc}</option>`).join('')}
+    </select>`;
+}
+
+// Per-file encoding override: decode the original bytes again with the chosen encoding
+async function changeFileEncoding(index, encoding) {
+    const item = STATE.globalFiles[index];
+    try {
+        const { content } = await PROCESSOR.decodeFile(item.file, encoding);
+        Object.assign(item, { content, encoding, fullTokens: PROCESSOR.estimateTokens(content) });
+        item.tokens = PROCESSOR.effectiveTokens(toJobFile(item), getReductionOptions());
+        resetResultsArea();
+    } catch (err) {
+        console.warn(`Failed to decode ${item.path} as ${encoding}`, err);
+        showToast(`无法以 ${encoding} 解码 ${item.path}`, 'error');
+    }
+    renderFileTree();
+    updateCapsuleStats();
+}
+
 function toggleFileSelection(index, domElement) {
     STATE.globalFiles[index].selected = !STATE.globalFiles[index].selected;
     if (STATE.globalFiles[index].selected) {
@@ -599,6 +1878,7 @@ function toggleFileSelection(index, domElement) {
         if(dot) dot.remove();
     }
     
+    updateBranchStates();
     updateCapsuleStats();
     resetResultsArea();
 }
@@ -614,12 +1894,700 @@ function toggleAllFiles() {
 function updateCapsuleStats() {
     const activeFiles = STATE.globalFiles.filter(f => f.selected);
     document.getElementById('fileCountVal').innerText = activeFiles.length;
-    let totalChars = 0;
-    activeFiles.forEach(f => totalChars += f.content.length);
     
-    // Stability Optimization: New Token Algorithm
-    const tokenEst = PROCESSOR.estimateTokens(activeFiles.map(f => f.content).join(''));
+    // Stability Optimization: Sum cached per-file estimates instead of re-tokenizing everything
+    // The prompt template is part of what gets pasted, so it counts as well
+    const tokenEst = activeFiles.reduce((sum, f) => sum + f.tokens, 0) + getTemplateTokens();
     document.getElementById('tokenVal').innerText = `~${tokenEst.toLocaleString()}`;
+    updateBudgetBar(tokenEst);
+    scheduleAutosave();
+}
+
+function formatTokenCount(tokens) {
+    return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+}
+
+// --- TOKEN BUDGET ---
+function renderTokenizerSelect() {
+    const select = document.getElementById('tokenizerSelect');
+    if (!select) return;
+    select.innerHTML = PROCESSOR.config.TOKENIZERS.map(t => `
+        <option value="${t.id}"${t.id === PROCESSOR.config.TOKENIZER ? ' selected' : ''}>${t.label}</option>
+    `).join('');
+}
+
+// Switch tokenizers: load the vocabulary, then recount every file once; afterwards toggling files only re-sums
+async function onTokenizerChange() {
+    const select = document.getElementById('tokenizerSelect');
+    const previous = PROCESSOR.config.TOKENIZER;
+    const job = beginJob();
+    try {
+        // The page counts too (part sizes, encoding overrides), so it needs the vocabulary as well as the worker
+        await PROCESSOR.useTokenizer(select.value);
+        PROCESSOR.config.TOKENIZER = select.value;
+        if (STATE.globalFiles.length > 0) {
+            await recountFiles(job);
+            resetResultsArea();
+            renderFileTree();
+        }
+        updateCapsuleStats();
+    } catch (error) {
+        // Logic Fix: counts must match the selected tokenizer, so fall back to the previous one
+        PROCESSOR.config.TOKENIZER = previous;
+        select.value = previous;
+        await PROCESSOR.useTokenizer(previous);
+        handleJobError(error);
+    } finally {
+        endJob(job);
+    }
+}
+
+// Full and effective token counts of every loaded file under the current tokenizer
+async function recountFiles(job) {
+    const counts = await runJob(job, 'count', { files: STATE.globalFiles.map(toJobFile), reduce: getReductionOptions() });
+    STATE.globalFiles.forEach((f, i) => Object.assign(f, counts[i]));
+}
+
+function renderAutoFitRules() {
+    const container = document.getElementById('fitRules');
+    if (!container) return;
+    container.innerHTML = PROCESSOR.config.AUTO_FIT_RULES.map(rule => `
+        <label class="tool-check" title="${escapeHtml(rule.patterns.join(' '))}">
+            <input type="checkbox" value="${escapeHtml(rule.id)}" checked> ${escapeHtml(rule.label)}
+        </label>
+    `).join('');
+}
+
+function getEnabledFitRules() {
+    const checked = Array.from(document.querySelectorAll('#fitRules input:checked')).map(el => el.value);
+    return PROCESSOR.config.AUTO_FIT_RULES.filter(rule => checked.includes(rule.id));
+}
+
+function onBudgetChange() {
+    const select = document.getElementById('budgetSelect');
+    const custom = document.getElementById('budgetCustom');
+    const isCustom = select.value === 'custom';
+    custom.classList.toggle('hidden', !isCustom);
+    STATE.tokenBudget = isCustom ? (parseInt(custom.value, 10) || 0) : parseInt(select.value, 10);
+    updateCapsuleStats();
+}
+
+function updateBudgetBar(totalTokens) {
+    const fill = document.getElementById('budgetFill');
+    const label = document.getElementById('budgetLabel');
+    if (!fill || !label) return;
+
+    if (!STATE.tokenBudget) {
+        fill.style.width = '0%';
+        fill.classList.remove('over', 'near');
+        label.innerText = `~${totalTokens.toLocaleString()} tokens · 未设置预算`;
+        return;
+    }
+    const ratio = totalTokens / STATE.tokenBudget;
+    fill.style.width = `${Math.min(ratio, 1) * 100}%`;
+    fill.classList.toggle('over', ratio > 1);
+    fill.classList.toggle('near', ratio > 0.9 && ratio <= 1);
+    label.innerText = `~${totalTokens.toLocaleString()} / ${STATE.tokenBudget.toLocaleString()} tokens (${Math.round(ratio * 100)}%)`;
+}
+
+function autoFitBudget() {
+    if (STATE.globalFiles.length === 0) {
+        showToast("请先上传项目", "error");
+        return;
+    }
+    if (!STATE.tokenBudget) {
+        showToast("请先选择 Token 预算", "error");
+        return;
+    }
+
+    // The prompt template is pasted along, only the rest of the budget is left for files
+    const budget = STATE.tokenBudget - getTemplateTokens();
+    const dropped = PROCESSOR.planAutoFit(STATE.globalFiles, budget, getEnabledFitRules());
+    dropped.forEach(f => f.selected = false);
+    STATE.lastAutoFit = dropped;
+
+    renderFileTree();
+    updateCapsuleStats();
+    resetResultsArea();
+    renderAutoFitReport();
+
+    const remaining = STATE.globalFiles.filter(f => f.selected).reduce((sum, f) => sum + f.tokens, 0);
+    if (remaining > budget) {
+        showToast("无法裁剪到预算以内", "error");
+    } else if (dropped.length === 0) {
+        showToast("当前选择已在预算以内", "success");
+    } else {
+        showToast(`已取消选择 ${dropped.length} 个文件`, "success");
+    }
+}
+
+function renderAutoFitReport() {
+    const report = document.getElementById('budgetReport');
+    if (!report) return;
+    if (STATE.lastAutoFit.length === 0) {
+        report.classList.add('hidden');
+        report.innerHTML = '';
+        return;
+    }
+    const saved = STATE.lastAutoFit.reduce((sum, f) => sum + f.tokens, 0);
+    report.innerHTML = `
+        <div class="report-title">已移除 ${STATE.lastAutoFit.length} 个文件，节省 ~${saved.toLocaleString()} tokens</div>
+        ${STATE.lastAutoFit.map(f => `<div class="report-row"><span>${escapeHtml(f.path)}</span><span>${formatTokenCount(f.tokens)}</span></div>`).join('')}
+    `;
+    report.classList.remove('hidden');
+}
+
+// --- SECRET REDACTION ---
+function renderSecretDetectors() {
+    const container = document.getElementById('secretDetectors');
+    if (!container) return;
+    container.innerHTML = PROCESSOR.config.SECRET_DETECTORS.map(detector => `
+        <label class="tool-check">
+            <input type="checkbox" value="${detector.id}" checked> ${detector.label}
+        </label>
+    `).join('');
+}
+
+// Options for the flatten job, or null (after a toast) when a custom pattern isn't a valid regex
+function getRedactOptions() {
+    const disabled = Array.from(document.querySelectorAll('#secretDetectors input:not(:checked)')).map(el => el.value);
+    const custom = document.getElementById('customSecretPatterns').value.split('\n').map(s => s.trim()).filter(Boolean);
+    for (const source of custom) {
+        try {
+            new RegExp(source);
+        } catch (e) {
+            showToast(`自定义正则无效: ${source}`, 'error');
+            return null;
+        }
+    }
+    return { replace: document.getElementById('redactCheck').checked, disabled, custom };
+}
+
+function renderSecretReport() {
+    const report = document.getElementById('secretReport');
+    if (!report) return;
+    const findings = STATE.secretFindings;
+    if (findings.length === 0) {
+        report.classList.add('hidden');
+        report.innerHTML = '';
+        return;
+    }
+    report.innerHTML = `
+        <div class="report-title${STATE.secretsReplaced ? '' : ' danger'}">
+            ${STATE.secretsReplaced ? `已替换 ${findings.length} 处敏感信息` : `检测到 ${findings.length} 处敏感信息（未替换，复制或下载前请确认）`}
+        </div>
+        ${findings.map(f => `<div class="report-row"><span>${escapeHtml(f.path)}:${f.line} · ${escapeHtml(f.detector)}</span><span>${STATE.secretsReplaced ? f.placeholder : ''}</span></div>`).join('')}
+    `;
+    report.classList.remove('hidden');
+}
+
+// Unredacted findings need an explicit OK before the output leaves the page
+function confirmUnredactedExport() {
+    if (STATE.secretsReplaced || STATE.secretFindings.length === 0) return true;
+    return confirm(`输出中包含 ${STATE.secretFindings.length} 处未脱敏的敏感信息（见“敏感信息”面板），仍要继续吗？`);
+}
+
+// --- SESSIONS & PROFILES ---
+// Sessions snapshot the loaded project (files, selection, per-file overrides) and the panel options,
+// profiles are include / exclude globs for re-selecting files in a fresh copy. Both stay in this browser's IndexedDB,
+// next to the filter settings.
+const SESSION_DB = { name: 'code-flatten', version: 3, db: null, ready: false, autosaveTimer: null };
+// Reserved session rewritten after every change and restored on page load
+const AUTOSAVE_SESSION = '__autosave__';
+const AUTOSAVE_DELAY = 1000;
+// Panel controls stored with a session: checked state for checkboxes, value for the rest
+const SESSION_OPTION_IDS = [
+    'encodingSelect', 'tokenizerSelect', 'budgetSelect', 'budgetCustom',
+    'reduceComments', 'reduceBlank', 'reduceLicense', 'reduceOutline',
+    'redactCheck', 'restoreSecretsCheck', 'customSecretPatterns', 'partSizeSelect', 'formatSelect',
+    'depDepth', 'depSummaryCheck', 'manifestCheck', 'gitPreset', 'gitRef', 'gitCommits', 'gitDiffMode',
+    'templateSelect', 'templateTask', 'templateText'
+];
+
+function openSessionDb() {
+    if (!SESSION_DB.db) {
+        SESSION_DB.db = new Promise((resolve, reject) => {
+            if (!window.indexedDB) return reject(new Error('IndexedDB unavailable'));
+            const request = indexedDB.open(SESSION_DB.name, SESSION_DB.version);
+            request.onupgradeneeded = () => {
+                ['sessions', 'profiles', 'settings', 'templates'].forEach(store => {
+                    if (!request.result.objectStoreNames.contains(store)) request.result.createObjectStore(store, { keyPath: 'name' });
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Don't cache a failed open, the next call tries again
+        SESSION_DB.db.catch(() => { SESSION_DB.db = null; });
+    }
+    return SESSION_DB.db;
+}
+
+// A single request on one object store, as a promise
+async function sessionDbRequest(store, mode, action) {
+    const db = await openSessionDb();
+    return new Promise((resolve, reject) => {
+        const request = action(db.transaction(store, mode).objectStore(store));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function initSessions() {
+    await Promise.all([loadFilterSettings(), renderSessionList(), renderProfileList(), renderTemplateList()]);
+    try {
+        if (await restoreSession(AUTOSAVE_SESSION) && STATE.globalFiles.length > 0) showToast('已恢复上次会话', 'success');
+    } catch (e) {
+        console.warn('Session restore failed', e);
+    }
+    // Stability: only autosave once the previous session had its chance to load, so it isn't overwritten
+    SESSION_DB.ready = true;
+    const packSection = document.getElementById('packSection');
+    ['change', 'input'].forEach(type => packSection.addEventListener(type, scheduleAutosave));
+}
+
+function scheduleAutosave() {
+    if (!SESSION_DB.ready) return;
+    clearTimeout(SESSION_DB.autosaveTimer);
+    SESSION_DB.autosaveTimer = setTimeout(() => {
+        saveSession(AUTOSAVE_SESSION).catch(e => console.warn('Autosave failed', e));
+    }, AUTOSAVE_DELAY);
+}
+
+function readSessionOptions() {
+    const options = {};
+    SESSION_OPTION_IDS.forEach(id => {
+        const el = document.getElementById(id);
+        if (el) options[id] = el.type === 'checkbox' ? el.checked : el.value;
+    });
+    options.fitRules = getEnabledFitRules().map(rule => rule.id);
+    options.disabledDetectors = Array.from(document.querySelectorAll('#secretDetectors input:not(:checked)')).map(el => el.value);
+    return options;
+}
+
+// The tokenizer is restored separately (restoreTokenizer), it may need its vocabulary first
+function applySessionOptions(options) {
+    SESSION_OPTION_IDS.forEach(id => {
+        const el = document.getElementById(id);
+        if (!el || id === 'tokenizerSelect' || options[id] === undefined) return;
+        if (el.type === 'checkbox') el.checked = options[id];
+        else el.value = options[id];
+    });
+    if (options.fitRules) {
+        document.querySelectorAll('#fitRules input').forEach(el => { el.checked = options.fitRules.includes(el.value); });
+    }
+    if (options.disabledDetectors) {
+        document.querySelectorAll('#secretDetectors input').forEach(el => { el.checked = !options.disabledDetectors.includes(el.value); });
+    }
+    onBudgetChange();
+    onFormatChange();
+    renderTemplateEditor();
+}
+
+async function saveSession(name) {
+    const record = {
+        name, savedAt: Date.now(), projectName: STATE.currentProjectName, projectConfig: STATE.projectConfig, options: readSessionOptions(),
+        // File objects are kept too, so per-file encoding overrides still work after a reload
+        files: STATE.globalFiles.map(f => ({ ...f }))
+    };
+    await sessionDbRequest('sessions', 'readwrite', store => store.put(record));
+}
+
+// Returns false when there is no session by that name
+async function restoreSession(name) {
+    const record = await sessionDbRequest('sessions', 'readonly', store => store.get(name));
+    if (!record) return false;
+    STATE.projectConfig = record.projectConfig || null;
+    restoreProjectFilters();
+    renderAutoFitRules();
+    renderProjectConfigStatus();
+    applySessionOptions(record.options || {});
+    STATE.globalFiles = record.files;
+    STATE.currentProjectName = record.projectName;
+    // The scan report points at dropped entries that no longer exist
+    STATE.scanReport = null;
+    STATE.openScanCategory = null;
+    detectGitRepo(null);
+    await restoreTokenizer((record.options || {}).tokenizerSelect);
+    resetResultsArea();
+    renderFileTree();
+    updateCapsuleStats();
+    renderScanSummary();
+    return true;
+}
+
+// Stored counts belong to the session's tokenizer: switch to it, or recount if its vocabulary can't be loaded
+async function restoreTokenizer(id) {
+    if (!id || id === PROCESSOR.config.TOKENIZER) return;
+    try {
+        await PROCESSOR.useTokenizer(id);
+        PROCESSOR.config.TOKENIZER = id;
+        document.getElementById('tokenizerSelect').value = id;
+    } catch (e) {
+        console.warn(e);
+        if (STATE.globalFiles.length === 0) return;
+        const job = beginJob();
+        try {
+            await recountFiles(job);
+        } catch (error) {
+            handleJobError(error);
+        } finally {
+            endJob(job);
+        }
+    }
+}
+
+function sessionLabel(name) {
+    return name === AUTOSAVE_SESSION ? '上次会话（自动保存）' : name;
+}
+
+async function renderSessionList(selected) {
+    const select = document.getElementById('sessionSelect');
+    if (!select) return;
+    try {
+        const names = await sessionDbRequest('sessions', 'readonly', store => store.getAllKeys());
+        // The autosave slot goes first, named sessions follow alphabetically
+        names.sort((a, b) => (b === AUTOSAVE_SESSION) - (a === AUTOSAVE_SESSION) || a.localeCompare(b));
+        select.innerHTML = names.length ?
+            names.map(name => `<option value="${escapeHtml(name)}"${name === selected ? ' selected' : ''}>${escapeHtml(sessionLabel(name))}</option>`).join('') :
+            '<option value="">暂无会话</option>';
+    } catch (e) {
+        select.innerHTML = '<option value="">会话不可用</option>';
+    }
+}
+
+async function loadSelectedSession() {
+    const name = document.getElementById('sessionSelect').value;
+    if (!name) {
+        showToast('没有可载入的会话', 'error');
+        return;
+    }
+    try {
+        if (await restoreSession(name)) showToast(`已载入会话：${sessionLabel(name)}`, 'success');
+        else showToast('会话不存在', 'error');
+    } catch (e) {
+        showToast('载入会话失败: ' + e.message, 'error');
+    }
+}
+
+async function saveNamedSession() {
+    const input = document.getElementById('sessionName');
+    const name = input.value.trim();
+    if (!name || name === AUTOSAVE_SESSION) {
+        showToast('请输入会话名称', 'error');
+        return;
+    }
+    if (STATE.globalFiles.length === 0) {
+        showToast('请先加载项目', 'error');
+        return;
+    }
+    try {
+        await saveSession(name);
+        input.value = '';
+        await renderSessionList(name);
+        showToast(`已保存会话：${name}`, 'success');
+    } catch (e) {
+        showToast('保存会话失败: ' + e.message, 'error');
+    }
+}
+
+async function deleteSelectedSession() {
+    const name = document.getElementById('sessionSelect').value;
+    if (!name || !confirm(`删除会话“${sessionLabel(name)}”？`)) return;
+    try {
+        await sessionDbRequest('sessions', 'readwrite', store => store.delete(name));
+        await renderSessionList();
+    } catch (e) {
+        showToast('删除会话失败: ' + e.message, 'error');
+    }
+}
+
+function readPatternList(id) {
+    return document.getElementById(id).value.split('\n').map(s => s.trim()).filter(Boolean);
+}
+
+async function renderProfileList(selected) {
+    const select = document.getElementById('profileSelect');
+    if (!select) return;
+    try {
+        STATE.profiles = await sessionDbRequest('profiles', 'readonly', store => store.getAll());
+    } catch (e) {
+        STATE.profiles = [];
+    }
+    select.innerHTML = STATE.profiles.length ?
+        STATE.profiles.map(p => `<option value="${escapeHtml(p.name)}"${p.name === selected ? ' selected' : ''}>${escapeHtml(p.name)}</option>`).join('') :
+        '<option value="">暂无配置</option>';
+}
+
+function getSelectedProfile() {
+    const name = document.getElementById('profileSelect').value;
+    return STATE.profiles.find(p => p.name === name) || null;
+}
+
+// Load the chosen profile into the editor, so it can be tweaked and saved again
+function showSelectedProfile() {
+    const profile = getSelectedProfile();
+    if (!profile) return;
+    document.getElementById('profileName').value = profile.name;
+    document.getElementById('profileInclude').value = profile.include.join('\n');
+    document.getElementById('profileExclude').value = profile.exclude.join('\n');
+}
+
+async function saveProfile() {
+    const name = document.getElementById('profileName').value.trim();
+    const profile = { name, include: readPatternList('profileInclude'), exclude: readPatternList('profileExclude') };
+    if (!name) {
+        showToast('请输入配置名称', 'error');
+        return;
+    }
+    if (profile.include.length === 0 && profile.exclude.length === 0) {
+        showToast('请至少填写一条 include 或 exclude 规则', 'error');
+        return;
+    }
+    try {
+        await sessionDbRequest('profiles', 'readwrite', store => store.put(profile));
+        await renderProfileList(name);
+        showToast(`已保存配置：${name}`, 'success');
+    } catch (e) {
+        showToast('保存配置失败: ' + e.message, 'error');
+    }
+}
+
+function applySelectedProfile() {
+    const profile = getSelectedProfile();
+    if (!profile) {
+        showToast('没有可应用的配置', 'error');
+        return;
+    }
+    if (STATE.globalFiles.length === 0) {
+        showToast('请先加载项目', 'error');
+        return;
+    }
+    STATE.globalFiles.forEach(f => { f.selected = PROCESSOR.matchesProfile(f.path, profile); });
+    renderFileTree();
+    updateCapsuleStats();
+    resetResultsArea();
+    const count = STATE.globalFiles.filter(f => f.selected).length;
+    showToast(`已应用配置：${profile.name}（选中 ${count} / ${STATE.globalFiles.length}）`, 'success');
+}
+
+async function deleteSelectedProfile() {
+    const profile = getSelectedProfile();
+    if (!profile || !confirm(`删除配置“${profile.name}”？`)) return;
+    try {
+        await sessionDbRequest('profiles', 'readwrite', store => store.delete(profile.name));
+        await renderProfileList();
+    } catch (e) {
+        showToast('删除配置失败: ' + e.message, 'error');
+    }
+}
+
+// Turn the current selection into a profile: every deselected file becomes an exclude rule
+function fillProfileFromSelection() {
+    const excluded = STATE.globalFiles.filter(f => !f.selected).map(f => {
+        const parts = f.path.split('/');
+        return PROCESSOR.literalGlob((parts.length > 1 ? parts.slice(1) : parts).join('/'));
+    });
+    document.getElementById('profileInclude').value = '';
+    document.getElementById('profileExclude').value = excluded.join('\n');
+}
+
+// --- PROMPT TEMPLATES ---
+// The select holds "builtin:<id>" and "custom:<name>" entries; the editor below it is what doFlatten uses,
+// so a built-in can be tweaked for one flatten without saving it.
+async function renderTemplateList(selected) {
+    const select = document.getElementById('templateSelect');
+    if (!select) return;
+    try {
+        STATE.templates = await sessionDbRequest('templates', 'readonly', store => store.getAll());
+    } catch (e) {
+        STATE.templates = [];
+    }
+    const current = selected !== undefined ? selected : select.value;
+    const option = (value, label) => `<option value="${escapeHtml(value)}"${value === current ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    select.innerHTML = option('', '不使用模板') +
+        `<optgroup label="内置">${PROCESSOR.config.PROMPT_TEMPLATES.map(t => option(`builtin:${t.id}`, t.label)).join('')}</optgroup>` +
+        (STATE.templates.length ? `<optgroup label="已保存">${STATE.templates.map(t => option(`custom:${t.name}`, t.name)).join('')}</optgroup>` : '');
+    renderTemplateEditor();
+}
+
+function getSelectedTemplate() {
+    const value = document.getElementById('templateSelect').value;
+    if (value.startsWith('builtin:')) {
+        const builtin = PROCESSOR.config.PROMPT_TEMPLATES.find(t => `builtin:${t.id}` === value);
+        return builtin ? { name: builtin.label, text: builtin.text, builtin: true } : null;
+    }
+    return STATE.templates.find(t => `custom:${t.name}` === value) || null;
+}
+
+// Load the chosen template into the editor
+function onTemplateSelect() {
+    const template = getSelectedTemplate();
+    document.getElementById('templateText').value = template ? template.text : '';
+    document.getElementById('templateName').value = template && !template.builtin ? template.name : '';
+    renderTemplateEditor();
+    onTemplateInput();
+}
+
+function onTemplateInput() {
+    resetResultsArea();
+    updateCapsuleStats();
+    renderTemplateEditor();
+}
+
+function renderTemplateEditor() {
+    const active = document.getElementById('templateSelect').value !== '';
+    document.getElementById('templateBody').classList.toggle('hidden', !active);
+    document.getElementById('templateCost').innerText = active ? `模板约 ${getTemplateTokens().toLocaleString()} tokens（已计入总数）` : '';
+}
+
+// { text, task } for the flatten job, null when no template is chosen
+function getPromptTemplate() {
+    if (document.getElementById('templateSelect').value === '') return null;
+    const text = document.getElementById('templateText').value;
+    return text.trim() ? { text, task: document.getElementById('templateTask').value.trim() } : null;
+}
+
+function getTemplateTokens() {
+    const template = document.getElementById('templateSelect') && getPromptTemplate();
+    return template ? PROCESSOR.promptTemplateCost(template, STATE.currentProjectName) : 0;
+}
+
+async function saveTemplate() {
+    const name = document.getElementById('templateName').value.trim();
+    const text = document.getElementById('templateText').value;
+    if (!name) {
+        showToast('请输入模板名称', 'error');
+        return;
+    }
+    if (!text.trim()) {
+        showToast('模板内容不能为空', 'error');
+        return;
+    }
+    try {
+        await sessionDbRequest('templates', 'readwrite', store => store.put({ name, text }));
+        await renderTemplateList(`custom:${name}`);
+        showToast(`已保存模板：${name}`, 'success');
+    } catch (e) {
+        showToast('保存模板失败: ' + e.message, 'error');
+    }
+}
+
+async function deleteSelectedTemplate() {
+    const template = getSelectedTemplate();
+    if (!template) return;
+    if (template.builtin) {
+        showToast('内置模板不能删除', 'error');
+        return;
+    }
+    if (!confirm(`删除模板“${template.name}”？`)) return;
+    try {
+        await sessionDbRequest('templates', 'readwrite', store => store.delete(template.name));
+        await renderTemplateList('');
+        onTemplateSelect();
+    } catch (e) {
+        showToast('删除模板失败: ' + e.message, 'error');
+    }
+}
+
+// --- FILTER SETTINGS ---
+// Built-in lists from core.js: the settings panel starts from them and "reset" goes back to them
+const DEFAULT_FILTERS = {
+    ignoreDirs: PROCESSOR.config.IGNORE_DIRS, ignoreExts: PROCESSOR.config.IGNORE_EXTS,
+    include: PROCESSOR.config.INCLUDE_PATTERNS, maxFileSize: PROCESSOR.config.MAX_FILE_SIZE
+};
+const DEFAULT_AUTO_FIT_RULES = PROCESSOR.config.AUTO_FIT_RULES;
+
+// Every load starts from the local settings, a project's .codeflatten.json is layered on top while scanning
+function applyFilterSettings() {
+    const settings = STATE.filterSettings || DEFAULT_FILTERS;
+    Object.assign(PROCESSOR.config, {
+        IGNORE_DIRS: settings.ignoreDirs, IGNORE_EXTS: settings.ignoreExts, INCLUDE_PATTERNS: settings.include,
+        MAX_FILE_SIZE: settings.maxFileSize, AUTO_FIT_RULES: DEFAULT_AUTO_FIT_RULES
+    });
+}
+
+// Settings of the loaded project: local filters plus its project config (a cancelled load comes back here)
+function restoreProjectFilters() {
+    applyFilterSettings();
+    if (STATE.projectConfig) PROCESSOR.applyProjectConfig(STATE.projectConfig);
+}
+
+// After a load: remember the project config, and let it pick the output format and auto-fit priorities
+function applyProjectSettings(projectConfig) {
+    STATE.projectConfig = projectConfig;
+    restoreProjectFilters();
+    if (projectConfig && projectConfig.format) {
+        document.getElementById('formatSelect').value = projectConfig.format;
+        onFormatChange();
+    }
+    renderAutoFitRules();
+    renderProjectConfigStatus();
+}
+
+function renderProjectConfigStatus() {
+    const status = document.getElementById('projectConfigStatus');
+    if (!status) return;
+    status.innerText = STATE.projectConfig ? `已应用项目配置 ${PROCESSOR.config.PROJECT_CONFIG_FILE}` : '';
+}
+
+async function loadFilterSettings() {
+    try {
+        STATE.filterSettings = (await sessionDbRequest('settings', 'readonly', store => store.get('filters'))) || null;
+    } catch (e) {
+        console.warn('Settings unavailable', e);
+    }
+    restoreProjectFilters();
+    renderFilterSettings();
+}
+
+function renderFilterSettings() {
+    const settings = STATE.filterSettings || DEFAULT_FILTERS;
+    document.getElementById('settingIgnoreDirs').value = settings.ignoreDirs.join('\n');
+    document.getElementById('settingIgnoreExts').value = settings.ignoreExts.join('\n');
+    document.getElementById('settingInclude').value = settings.include.join('\n');
+    document.getElementById('settingMaxSize').value = +(settings.maxFileSize / 1024 / 1024).toFixed(2);
+}
+
+function toggleSettingsPanel() {
+    document.getElementById('settingsBody').classList.toggle('hidden');
+}
+
+// Lists accept one entry per line or comma-separated
+function readListInput(id) {
+    return document.getElementById(id).value.split(/[\n,]/).map(s => s.trim()).filter(Boolean);
+}
+
+async function saveFilterSettings() {
+    const maxSizeMb = parseFloat(document.getElementById('settingMaxSize').value);
+    if (!(maxSizeMb > 0)) {
+        showToast('请输入有效的大小上限（MB）', 'error');
+        return;
+    }
+    const settings = {
+        name: 'filters', ignoreDirs: readListInput('settingIgnoreDirs'), ignoreExts: readListInput('settingIgnoreExts'),
+        include: readListInput('settingInclude'), maxFileSize: Math.floor(maxSizeMb * 1024 * 1024)
+    };
+    STATE.filterSettings = settings;
+    restoreProjectFilters();
+    try {
+        await sessionDbRequest('settings', 'readwrite', store => store.put(settings));
+        showToast('已保存过滤设置，重新加载项目后生效', 'success');
+    } catch (e) {
+        showToast('设置仅在当前页面生效（无法保存）: ' + e.message, 'error');
+    }
+}
+
+async function resetFilterSettings() {
+    try {
+        await sessionDbRequest('settings', 'readwrite', store => store.delete('filters'));
+    } catch (e) {
+        console.warn('Settings unavailable', e);
+    }
+    STATE.filterSettings = null;
+    restoreProjectFilters();
+    renderFilterSettings();
+    showToast('已恢复默认过滤设置', 'success');
 }
 
 async function toggleSidebar() {
@@ -698,20 +2666,27 @@ function cleanEscapedText() {
 
 function clearPasteArea() {
     document.getElementById('pasteArea').value = '';
+    clearInflatePreview();
     showToast('内容已清空');
 }
 
 function resetResultsArea() {
     STATE.finalOutput = "";
+    STATE.finalParts = [];
+    STATE.secretFindings = [];
+    renderSecretReport();
     document.getElementById('previewArea').innerText = "";
+    renderPartsBar();
 }
 
 function showToast(msg, type = 'normal') {
     const container = document.getElementById('toast-container');
     const el = document.createElement('div');
     el.className = `toast ${type}`;
+    // Security: messages often carry file names from archives or replies, never markup
+    const text = escapeHtml(String(msg));
     el.innerHTML = type === 'success' ?
-    `<span>✅</span> ${msg}` : (type === 'error' ? `<span>⚠️</span> ${msg}` : msg);
+    `<span>✅</span> ${text}` : (type === 'error' ? `<span>⚠️</span> ${text}` : text);
     
     container.appendChild(el);
     setTimeout(() => {
@@ -734,9 +2709,29 @@ function downloadFile() {
         showToast("没有可下载的内容", "error");
         return;
     }
+    if (!confirmUnredactedExport()) return;
+    const timeStr = generateTimeStr(new Date());
+
+    // Chunked export: one txt per part, bundled in a zip (browsers block multiple downloads)
+    if (STATE.finalParts.length > 0) {
+        const total = STATE.finalParts.length;
+        const zip = new JSZip();
+        STATE.finalParts.forEach((part, i) => {
+            zip.file(`${STATE.currentProjectName}_part${i + 1}of${total}.txt`, part);
+        });
+        const zipName = `${STATE.currentProjectName}_${timeStr}_parts.zip`;
+        zip.generateAsync({ type: "blob" }).then(blob => {
+            saveAs(blob, zipName);
+            showToast(`下载开始: ${zipName}`, "success");
+        }).catch(e => {
+            console.error(e);
+            showToast("Zip 生成失败: " + e.message, "error");
+        });
+        return;
+    }
+
     // Stability: Blob is better than large strings
     const blob = new Blob([STATE.finalOutput], { type: 'text/plain;charset=utf-8' });
-    const timeStr = generateTimeStr(new Date());
     const fileName = `${STATE.currentProjectName}_${timeStr}.txt`;
     
     saveAs(blob, fileName);
@@ -748,6 +2743,7 @@ async function copyToClipboard() {
         showToast("没有可复制的内容", "error");
         return;
     }
+    if (!confirmUnredactedExport()) return;
 
     // Optimization 2.B: UI Feedback for large copy operations
     const btn = document.querySelector('#previewContainer .tool-btn');
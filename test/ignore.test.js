@@ -0,0 +1,45 @@
+// Ignore rules are scoped to the folder they come from; scanned paths start with the project folder name
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ProjectProcessor } = require('../core.js');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+test('rules anchor to their base folder', () => {
+    const p = new ProjectProcessor();
+    p.parseGitIgnore('src/gen/\n*.log\n!keep.log\n/top.txt', 'proj');
+    assert.ok(p.shouldIgnore('proj/src/gen/a.js'));
+    assert.ok(!p.shouldIgnore('proj/lib/src/gen/a.js'));
+    assert.ok(p.shouldIgnore('proj/deep/x.log'));
+    assert.ok(!p.shouldIgnore('proj/deep/keep.log'));
+    assert.ok(p.shouldIgnore('proj/top.txt'));
+    assert.ok(!p.shouldIgnore('proj/sub/top.txt'));
+});
+
+test('a deeper ignore file overrides the root one', () => {
+    const p = new ProjectProcessor();
+    p.parseGitIgnore('*.txt', 'proj');
+    p.parseGitIgnore('!notes.txt', 'proj/docs');
+    assert.ok(p.shouldIgnore('proj/a.txt'));
+    assert.ok(!p.shouldIgnore('proj/docs/notes.txt'));
+    assert.ok(p.shouldIgnore('proj/docs/other.txt'));
+});
+
+test('pack --ignore with a slash excludes files below the project folder', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-ignore-'));
+    try {
+        const root = path.join(dir, 'proj');
+        fs.mkdirSync(path.join(root, 'src', 'gen'), { recursive: true });
+        fs.writeFileSync(path.join(root, 'src', 'app.js'), 'app();\n');
+        fs.writeFileSync(path.join(root, 'src', 'gen', 'out.js'), 'generated();\n');
+        const output = execFileSync('node', [CLI, 'pack', root, '--ignore', 'src/gen/'], { encoding: 'utf8', stdio: 'pipe' });
+        assert.match(output, /=== File: proj\/src\/app\.js ===/);
+        assert.doesNotMatch(output, /out\.js|generated/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
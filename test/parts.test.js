@@ -0,0 +1,45 @@
+// Chunked export: parts pasted back together rebuild every file exactly
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProjectProcessor } = require('../core.js');
+
+// Two blank lines out of three, so the split points fall next to blank lines
+const big = Array.from({ length: 400 }, (_, i) => i % 3 !== 0 ? '' : `const value${i} = compute(${i}, "text ${i}");`).join('\n') + '\n';
+const files = [
+    { path: 'proj/big.js', content: big },
+    { path: 'proj/gaps.txt', content: '\n\nstarts and ends blank\n\n\n' },
+    { path: 'proj/small.js', content: 'small();' }
+];
+
+['plain', 'xml', 'markdown', 'json'].forEach(format => {
+    test(`${format}: split -> parse -> merge keeps blank lines at split points`, () => {
+        const p = new ProjectProcessor();
+        const { parts, output } = p.buildOutput({ files, format, projectName: 'proj', partSize: 800 });
+        assert.ok(parts.length > 2, 'the big file is split');
+        assert.match(output, /proj\/big\.js \(part 2\/\d+\)/);
+        const parsed = p.parseOutput(output).files;
+        const back = parsed.find(f => f.path === 'proj/big.js');
+        assert.ok(!back.incomplete);
+        // Without a manifest the final newline of a whole file is not kept, the lines in between are
+        assert.strictEqual(back.content.replace(/\n+$/, ''), big.replace(/\n+$/, ''));
+    });
+});
+
+test('with a manifest every file comes back byte for byte', () => {
+    const p = new ProjectProcessor();
+    const { output, manifest } = p.buildOutput({ files, format: 'plain', projectName: 'proj', partSize: 800, manifest: true });
+    const parsed = p.parseOutput(output);
+    const { files: checked } = p.verifyAgainstManifest(parsed.files, parsed.manifest || manifest);
+    files.forEach(original => {
+        const back = checked.find(f => f.path === original.path);
+        assert.strictEqual(back.content, original.content, original.path);
+        assert.strictEqual(back.check, 'verified', original.path);
+    });
+});
+
+test('a missing part marks the file incomplete', () => {
+    const p = new ProjectProcessor();
+    const { parts } = p.buildOutput({ files, format: 'plain', projectName: 'proj', partSize: 800 });
+    const parsed = p.parseOutput(parts.filter((_, i) => i !== 1).join('\n')).files;
+    assert.strictEqual(parsed.find(f => f.path === 'proj/big.js').incomplete, true);
+});
@@ -0,0 +1,45 @@
+// Patch Mode in the CLI: unified diffs applied to the files in the target folder
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const GBK_HELLO = [0xC4, 0xE3, 0xBA, 0xC3]; // "你好"
+const GBK_WORLD = [0xCA, 0xC0, 0xBD, 0xE7]; // "世界"
+
+function withFolder(run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-patch-'));
+    try {
+        run(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const PATCH = 'diff --git a/a.txt b/a.txt\n--- a/a.txt\n+++ b/a.txt\n@@ -1,2 +1,2 @@\n-你好\n+世界\n line two\n';
+// --encoding applies to the reply as well
+const GBK_PATCH = Buffer.concat(PATCH.split(/(你好|世界)/).map(piece =>
+    Buffer.from(piece === '你好' ? GBK_HELLO : piece === '世界' ? GBK_WORLD : Buffer.from(piece))));
+
+[['auto'], ['gbk', '--encoding', 'gbk']].forEach(([name, ...flags]) => {
+    test(`a GBK file is patched and written back as GBK (${name})`, () => withFolder(dir => {
+        const out = path.join(dir, 'out');
+        fs.mkdirSync(out);
+        fs.writeFileSync(path.join(out, 'a.txt'), Buffer.from([...GBK_HELLO, 0x0A, ...Buffer.from('line two\n')]));
+        fs.writeFileSync(path.join(dir, 'reply.txt'), flags.length ? GBK_PATCH : PATCH);
+        execFileSync('node', [CLI, 'inflate', path.join(dir, 'reply.txt'), '-o', out, ...flags], { stdio: 'pipe' });
+        assert.deepStrictEqual([...fs.readFileSync(path.join(out, 'a.txt'))], [...GBK_WORLD, 0x0A, ...Buffer.from('line two\n')]);
+    }));
+});
+
+test('a UTF-8 file is patched in place', () => withFolder(dir => {
+    const out = path.join(dir, 'out');
+    fs.mkdirSync(out);
+    fs.writeFileSync(path.join(out, 'a.txt'), '你好\nline two\n');
+    fs.writeFileSync(path.join(dir, 'reply.txt'), PATCH);
+    execFileSync('node', [CLI, 'inflate', path.join(dir, 'reply.txt'), '-o', out], { stdio: 'pipe' });
+    assert.strictEqual(fs.readFileSync(path.join(out, 'a.txt'), 'utf8'), '世界\nline two\n');
+}));
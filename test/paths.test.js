@@ -0,0 +1,42 @@
+// Inflate paths: whatever a reply names, files are only written inside the target folder
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ProjectProcessor } = require('../core.js');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+test('sanitizePath keeps relative paths inside the root', () => {
+    const p = new ProjectProcessor();
+    assert.strictEqual(p.sanitizePath('../../escaped.txt'), 'escaped.txt');
+    assert.strictEqual(p.sanitizePath('a/../../b.txt'), 'b.txt');
+    assert.strictEqual(p.sanitizePath('./src/./a.js'), 'src/a.js');
+    assert.strictEqual(p.sanitizePath('/etc/passwd'), 'etc/passwd');
+    assert.strictEqual(p.sanitizePath('C:\\win\\a.txt'), 'win/a.txt');
+    assert.strictEqual(p.sanitizePath('src//lib\\x.js'), 'src/lib/x.js');
+    assert.strictEqual(p.sanitizePath('..'), '');
+    assert.strictEqual(p.sanitizePath('src/'), '');
+});
+
+test('inflate never writes or deletes outside the output folder', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-paths-'));
+    try {
+        const out = path.join(dir, 'a', 'out');
+        const victim = path.join(dir, 'victim.txt');
+        fs.writeFileSync(victim, 'keep\n');
+        fs.writeFileSync(path.join(dir, 'reply.txt'), '=== File: ../../escaped.txt ===\nhi\n');
+        execFileSync('node', [CLI, 'inflate', path.join(dir, 'reply.txt'), '-o', out], { stdio: 'pipe' });
+        assert.ok(!fs.existsSync(path.join(dir, 'escaped.txt')));
+        assert.strictEqual(fs.readFileSync(path.join(out, 'escaped.txt'), 'utf8'), 'hi');
+
+        const patch = 'diff --git a/../../victim.txt b/../../victim.txt\ndeleted file mode 100644\n--- a/../../victim.txt\n+++ /dev/null\n@@ -1 +0,0 @@\n-keep\n';
+        fs.writeFileSync(path.join(dir, 'patch.txt'), patch);
+        execFileSync('node', [CLI, 'inflate', path.join(dir, 'patch.txt'), '-o', out], { stdio: 'pipe' });
+        assert.strictEqual(fs.readFileSync(victim, 'utf8'), 'keep\n');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,34 @@
+// Selection profiles and tree search: globs relative to the project folder
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProjectProcessor } = require('../core.js');
+
+test('literalGlob matches exactly the path it was made from', () => {
+    const p = new ProjectProcessor();
+    const exclude = ['index.js', 'pages/[id].js', 'odd*name?.txt'].map(rel => p.literalGlob(rel));
+    const excluded = path => !p.matchesProfile(path, { exclude });
+    assert.ok(excluded('proj/index.js'));
+    assert.ok(!excluded('proj/sub/index.js'));
+    assert.ok(excluded('proj/pages/[id].js'));
+    assert.ok(!excluded('proj/pages/i.js'));
+    assert.ok(excluded('proj/odd*name?.txt'));
+    assert.ok(!excluded('proj/oddXnameY.txt'));
+});
+
+test('include and exclude globs are relative to the project folder', () => {
+    const p = new ProjectProcessor();
+    const profile = { include: ['src/'], exclude: ['**/*.test.js'] };
+    assert.ok(p.matchesProfile('proj/src/a.js', profile));
+    assert.ok(!p.matchesProfile('proj/src/a.test.js', profile));
+    assert.ok(!p.matchesProfile('proj/docs/a.md', profile));
+});
+
+test('tree search: globs, plain words and names holding glob characters', () => {
+    const p = new ProjectProcessor();
+    const files = ['proj/src/a.ts', 'proj/src/b.js', 'proj/pages/[id].js', 'proj/README.md'].map(path => ({ path, content: path.endsWith('.md') ? 'Hello' : '' }));
+    const names = hits => hits.map(i => files[i].path);
+    assert.deepStrictEqual(names(p.searchFiles(files, 'src/**/*.ts')), ['proj/src/a.ts']);
+    assert.deepStrictEqual(names(p.searchFiles(files, 'readme')), ['proj/README.md']);
+    assert.deepStrictEqual(names(p.searchFiles(files, '[id]')), ['proj/pages/[id].js']);
+    assert.deepStrictEqual(names(p.searchFiles(files, 'hello', 'content')), ['proj/README.md']);
+});
@@ -0,0 +1,75 @@
+// Line ranges: blocks cut out by Flatten are spliced back into the full file by Inflate
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ProjectProcessor } = require('../core.js');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const SOURCE = 'import x from "y";\n\nclass Foo {\n  bar() {\n    return "}";\n  }\n}\n\nfunction baz() {\n  return 2;\n}\n';
+
+test('parseLineRanges merges, sorts and clamps', () => {
+    const p = new ProjectProcessor();
+    assert.deepStrictEqual(p.parseLineRanges('10-20, 15-30 5 40-999', 50), [{ start: 5, end: 5 }, { start: 10, end: 30 }, { start: 40, end: 50 }]);
+    assert.throws(() => p.parseLineRanges('a-b', 5), /Invalid line range/);
+    assert.throws(() => p.parseLineRanges('9', 5), /outside the file/);
+});
+
+test('listSymbols finds the matching brace, ignoring braces in strings', () => {
+    const p = new ProjectProcessor();
+    assert.deepStrictEqual(p.listSymbols(SOURCE, 'javascript').map(s => `${s.name}:${s.start}-${s.end}`), ['Foo:3-7', 'bar:4-6', 'baz:9-11']);
+    assert.deepStrictEqual(p.listSymbols('class A:\n    def f(self):\n        pass\n\ndef g():\n    return 1\n', 'python').map(s => `${s.name}:${s.start}-${s.end}`), ['A:1-3', 'f:2-3', 'g:5-6']);
+});
+
+test('spliceRangeBlocks replaces blocks bottom-up and keeps CRLF and the final newline', () => {
+    const p = new ProjectProcessor();
+    const original = SOURCE.replace(/\n/g, '\r\n');
+    const blocks = [
+        { path: 'proj/a.js (lines 4-6)', content: '  bar() {\n    return 1;\n    // longer now\n  }' },
+        { path: 'proj/a.js (lines 9-11)', content: 'const baz = () => 3;' },
+        { path: 'proj/other.js', content: 'other' },
+        { path: 'proj/missing.js (lines 1-2)', content: 'q' }
+    ];
+    const { files, unresolved } = p.spliceRangeBlocks(blocks, file => file === 'proj/a.js' ? original : null);
+    assert.deepStrictEqual(unresolved, ['proj/missing.js (lines 1-2)']);
+    assert.deepStrictEqual(files.map(f => f.path), ['proj/other.js', 'proj/a.js']);
+    const expected = 'import x from "y";\n\nclass Foo {\n  bar() {\n    return 1;\n    // longer now\n  }\n}\n\nconst baz = () => 3;\n';
+    assert.strictEqual(files[1].content, expected.replace(/\n/g, '\r\n'));
+});
+
+test('a whole file in the same reply wins over its blocks', () => {
+    const p = new ProjectProcessor();
+    const { files } = p.spliceRangeBlocks([
+        { path: 'proj/a.js (lines 1-1)', content: 'block' },
+        { path: 'proj/a.js', content: 'whole' }
+    ], () => SOURCE);
+    assert.deepStrictEqual(files.map(f => f.content), ['whole']);
+});
+
+test('flatten blocks round-trip through inflate', () => {
+    const p = new ProjectProcessor();
+    const file = { path: 'proj/a.js', content: SOURCE, ranges: [{ start: 4, end: 6 }, { start: 9, end: 11 }] };
+    const { output } = p.buildOutput({ files: [file], format: 'markdown', projectName: 'proj', manifest: true });
+    assert.match(output, /## File: proj\/a\.js \(lines 4-6\)/);
+    const parsed = p.parseOutput(output.replace('return 2;', 'return 3;'));
+    const { files: checked } = p.verifyAgainstManifest(parsed.files, parsed.manifest);
+    const { files } = p.spliceRangeBlocks(checked, () => SOURCE);
+    assert.strictEqual(files[0].content, SOURCE.replace('return 2;', 'return 3;'));
+});
+
+test('pack --range rejects a file over the size limit', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flatten-ranges-'));
+    try {
+        const root = path.join(dir, 'proj');
+        fs.mkdirSync(root);
+        fs.writeFileSync(path.join(root, 'big.js'), 'x();\n'.repeat(100));
+        assert.throws(() => execFileSync('node', [CLI, 'pack', root, '--max-size', '100', '--range', 'big.js:1-3'], { stdio: 'pipe' }),
+            err => /over the size limit/.test(err.stderr.toString()));
+        const output = execFileSync('node', [CLI, 'pack', root, '--range', 'big.js:1-3'], { encoding: 'utf8', stdio: 'pipe' });
+        assert.match(output, /=== File: proj\/big\.js \(lines 1-3\) ===\nx\(\);\nx\(\);\nx\(\);\n/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,30 @@
+/**
+ * Background worker: file reading, token estimation and output assembly off the main thread.
+ * Tokenizer vocabularies are fetched by the worker itself (relative to worker.js) on first use.
+ * Protocol: { id, type, payload, config } in; { id, type: 'progress' | 'done' | 'error', ... } out.
+ */
+importScripts('core.js');
+
+const processor = new ProjectProcessor();
+
+self.onmessage = async (e) => {
+    const { id, type, payload, config } = e.data;
+    // The page owns the configuration, take its current values for every job
+    if (config) processor.config = config;
+
+    let lastProgress = 0;
+    const onProgress = progress => {
+        // Throttle progress messages, but always report the final count
+        const now = Date.now();
+        if (now - lastProgress < 100 && progress.scanned < progress.total) return;
+        lastProgress = now;
+        self.postMessage({ id, type: 'progress', progress });
+    };
+
+    try {
+        const result = await processor.runJob(type, payload, { onProgress });
+        self.postMessage({ id, type: 'done', result });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+    }
+};